@@ -1,55 +1,224 @@
 const prisma = require('../lib/prisma');
 const notificationService = require('../services/notificationService');
 const { emitNotification } = require('../socket/socketHandler');
+const availabilityService = require('../services/availabilityService');
+const bookingService = require('../services/bookingService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const giftCardService = require('../services/giftCardService');
+const promotionService = require('../services/promotionService');
+const packageService = require('../services/packageService');
+const loyaltyService = require('../services/loyaltyService');
+const { notifyUser, getStaffUser } = require('../utils/notify');
+const { toDateKey, addDays, formatDate, formatTime } = require('../utils/timeZone');
+
+// Helper function to respond to a rejected slot, offering alternatives when it was taken
+const sendSlotConflict = async (res, conflict, slot) => {
+    const { status, message } = conflict;
+    if (status !== 409) {
+        return res.status(status).json({ message });
+    }
+
+    const alternativeSlots = await bookingService.findAlternativeSlots(prisma, slot);
+    return res.status(409).json({ message, alternativeSlots });
+};
 
-// Helper function to send notifications
-const notifyUser = async (userId, type, title, message, data, io) => {
+// Helper function to start the online payment for new appointments. If the
+// provider fails, the booking stays pending and the customer can pay again later.
+const startBookingPayment = async (appointments, business) => {
     try {
-        console.log(`📨 [notifyUser] Attempting to notify user ${userId} with type: ${type}`);
-        const notification = await notificationService.createNotification(
-            userId, type, title, message, data
-        );
-        console.log(`✅ [notifyUser] Notification created:`, notification.id);
-        emitNotification(io, userId, notification);
-        console.log(`📨 Sent ${type} notification to user ${userId}`);
+        return await paymentService.startPayment({ appointments, business });
     } catch (error) {
-        console.error(`❌ [notifyUser] Error sending notification to user ${userId}:`, error);
+        console.error('Failed to start payment:', error);
+        return null;
     }
 };
 
-// Helper function to get staff user
-const getStaffUser = async (staffId) => {
-    const staff = await prisma.staff.findUnique({
-        where: { id: staffId },
-        select: {
-            id: true,
-            name: true,
-            userId: true,
-            user: {
-                select: {
-                    id: true,
-                    email: true,
-                    name: true,
-                    role: true
-                }
+// Helper function to book several services back to back as one booking.
+// Each service becomes its own appointment, all created in one transaction.
+const createMultiServiceBooking = async (req, res) => {
+    const { businessId, services, date, promoCode, usePackage } = req.body;
+
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return res.status(404).json({ message: 'Business not found' });
+    }
+
+    const loaded = await bookingService.loadBookingItems(businessId, services);
+    if (!loaded.items) {
+        return res.status(loaded.status).json({ message: loaded.message });
+    }
+
+    const { items } = loaded;
+    const start = new Date(date);
+
+    const result = await bookingService.runBookingTransaction(async (tx) => {
+        const { planned, conflict } = await bookingService.validateSequence(tx, {
+            business,
+            items,
+            start,
+            customerId: req.user.id,
+        });
+        if (conflict) {
+            return { conflict };
+        }
+
+        const { pricings, error: promoError } = await bookingService.priceBookingItems(tx, {
+            business,
+            planned,
+            customerId: req.user.id,
+            promoCode,
+            usePackage,
+        });
+        if (promoError) {
+            return { conflict: promoError };
+        }
+
+        const booking = await tx.booking.create({
+            data: {
+                customerId: req.user.id,
+                businessId,
+            },
+        });
+
+        for (const [position, item] of planned.entries()) {
+            const pricing = pricings[position];
+            // The packages were read in this serializable transaction, so they cannot have run out
+            if (pricing.customerPackage && !(await packageService.consumeSession(tx, pricing.customerPackage))) {
+                throw new Error('Package sessions changed during booking');
             }
+
+            const appointment = await tx.appointment.create({
+                data: {
+                    customerId: req.user.id,
+                    businessId,
+                    serviceId: item.service.id,
+                    staffId: item.staffId,
+                    date: item.start,
+                    status: 'PENDING',
+                    bookingId: booking.id,
+                    bookingPosition: position,
+                    ...bookingService.getServiceSnapshot(item.service),
+                    price: pricing.price,
+                    promotionId: pricing.promotion?.id || null,
+                    promotionDiscount: pricing.discount,
+                    customerPackageId: pricing.customerPackage?.id || null,
+                    amountDue: paymentService.getAmountDue(item.service, pricing.price),
+                },
+            });
+
+            await appointmentStatusService.recordEvent(tx, {
+                appointmentId: appointment.id,
+                type: 'CREATED',
+                toStatus: 'PENDING',
+                actor: req.user,
+                data: { bookingId: booking.id },
+            });
         }
+
+        const created = await tx.booking.findUnique({
+            where: { id: booking.id },
+            include: {
+                business: true,
+                customer: {
+                    select: {
+                        id: true,
+                        name: true,
+                        email: true
+                    }
+                },
+                appointments: {
+                    include: {
+                        service: true,
+                        staff: true,
+                        customerPackage: true,
+                    },
+                    orderBy: { bookingPosition: 'asc' },
+                },
+            },
+        });
+
+        return { booking: created };
     });
-    console.log('🔍 getStaffUser result for staffId:', staffId, '→', staff);
-    return staff;
+
+    if (result.conflict) {
+        const { status, message } = result.conflict;
+        if (status !== 409) {
+            return res.status(status).json({ message });
+        }
+        const alternativeSlots = await bookingService.findAlternativeSequenceSlots(prisma, {
+            business,
+            items,
+            start,
+            customerId: req.user.id,
+        });
+        return res.status(409).json({ message, alternativeSlots });
+    }
+
+    const { booking } = result;
+    const io = req.app.get('io');
+
+    // Release any waitlist hold this booking used
+    await waitlistService.markOfferBooked(req.user.id, businessId, start);
+    const payment = await startBookingPayment(booking.appointments, business);
+    const serviceNames = booking.appointments.map(apt => apt.serviceName).join(', ');
+
+    // 1. Notify Business Owner (always)
+    await notifyUser(
+        business.ownerId,
+        'APPOINTMENT_BOOKED',
+        'New Appointment',
+        `${booking.customer.name} booked ${serviceNames}`,
+        { appointmentId: booking.appointments[0].id, bookingId: booking.id },
+        io
+    );
+
+    // 2. Notify each assigned staff member of their services
+    for (const appointment of booking.appointments.filter(apt => apt.staffId)) {
+        const staff = await getStaffUser(appointment.staffId);
+        if (staff) {
+            await notifyUser(
+                staff.userId,
+                'APPOINTMENT_ASSIGNED',
+                'New Appointment Assigned',
+                `You have been assigned to ${appointment.serviceName} for ${booking.customer.name}`,
+                { appointmentId: appointment.id, bookingId: booking.id },
+                io
+            );
+        }
+    }
+
+    res.status(201).json({ ...booking, payment });
 };
 
-// @desc    Create new appointment
+// @desc    Create new appointment (or a multi-service booking when `services` is given).
+//          A package the customer holds for the service is used unless `usePackage` is false.
 // @route   POST /api/appointments
 // @access  Private (Customer)
 const createAppointment = async (req, res) => {
-    const { businessId, serviceId, staffId, date } = req.body;
+    const { businessId, serviceId, staffId, date, services, giftCardCode, promoCode, usePackage, loyaltyPoints } = req.body;
 
-    if (!businessId || !serviceId || !date) {
+    if (!businessId || (!serviceId && !services) || !date) {
         return res.status(400).json({ message: 'Business, service, and date are required' });
     }
 
     try {
+        if (services !== undefined) {
+            if (giftCardCode) {
+                return res.status(400).json({ message: 'Gift cards can be redeemed against each appointment of a booking once it is made' });
+            }
+            if (loyaltyPoints) {
+                return res.status(400).json({ message: 'Loyalty points can only be redeemed when booking a single service' });
+            }
+
+            return await createMultiServiceBooking(req, res);
+        }
+
         // Fetch service with assigned staff
         const service = await prisma.service.findUnique({
             where: { id: serviceId },
@@ -62,55 +231,187 @@ const createAppointment = async (req, res) => {
             }
         });
 
-        if (!service) {
+        if (!service || service.archivedAt) {
             return res.status(404).json({ message: 'Service not found' });
         }
 
+        if (service.businessId !== businessId) {
+            return res.status(400).json({ message: 'Service does not belong to this business' });
+        }
+
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
+        });
+
         // Validate staff assignment
-        const hasAssignedStaff = service.assignedStaff && service.assignedStaff.length > 0;
-
-        if (hasAssignedStaff) {
-            // Service has assigned staff - staff selection is required
-            if (!staffId) {
-                return res.status(400).json({
-                    message: 'This service requires a staff member to be selected',
-                    assignedStaffIds: service.assignedStaff.map(as => as.staffId)
-                });
+        const staffError = bookingService.validateStaffSelection(service, staffId);
+        if (staffError) {
+            return res.status(staffError.status).json({
+                message: staffError.message,
+                assignedStaffIds: staffError.assignedStaffIds
+            });
+        }
+
+        const staffBusinessError = await bookingService.validateStaffBusiness(businessId, staffId);
+        if (staffBusinessError) {
+            return res.status(staffBusinessError.status).json({ message: staffBusinessError.message });
+        }
+
+        const start = new Date(date);
+
+        // Re-validate the slot and insert inside a serializable transaction
+        const result = await bookingService.runBookingTransaction(async (tx) => {
+            const conflict = await bookingService.validateSlot(tx, {
+                business,
+                service,
+                staffId,
+                start,
+                customerId: req.user.id,
+            });
+
+            if (conflict) {
+                return { conflict };
             }
 
-            // Verify the selected staff is assigned to this service
-            const isStaffAssigned = service.assignedStaff.some(as => as.staffId === staffId);
-            if (!isStaffAssigned) {
-                return res.status(400).json({
-                    message: 'Selected staff member is not assigned to this service',
-                    assignedStaffIds: service.assignedStaff.map(as => as.staffId)
+            const customerPackage = await bookingService.findBookingPackage(tx, {
+                business,
+                service,
+                customerId: req.user.id,
+                start,
+                usePackage,
+            });
+
+            let pricing;
+            if (customerPackage) {
+                // The package was read in this serializable transaction, so it cannot have run out
+                if (!(await packageService.consumeSession(tx, customerPackage))) {
+                    throw new Error('Package sessions changed during booking');
+                }
+                pricing = { price: 0, promotion: null, discount: 0 };
+            } else {
+                pricing = await promotionService.applyPromotion(tx, {
+                    business,
+                    service,
+                    customerId: req.user.id,
+                    start,
+                    code: promoCode,
                 });
+                if (pricing.error) {
+                    return { conflict: pricing.error };
+                }
             }
-        }
 
-        const appointment = await prisma.appointment.create({
-            data: {
-                customerId: req.user.id,
-                businessId,
-                serviceId,
-                staffId: staffId || null,
-                date: new Date(date),
-                status: 'PENDING',
-            },
-            include: {
-                business: true,
-                service: true,
-                staff: true,
-                customer: {
-                    select: {
-                        id: true,
-                        name: true,
-                        email: true
+            // Loyalty points come off the price after any promotion
+            let loyaltyDiscount = 0;
+            if (loyaltyPoints) {
+                const redemption = loyaltyService.getRedemption(business, loyaltyPoints, pricing.price);
+                if (redemption.error) {
+                    return { conflict: redemption.error };
+                }
+                const points = await loyaltyService.getBalance(req.user.id, businessId, { db: tx });
+                if (points < loyaltyPoints) {
+                    return { conflict: { status: 400, message: `You have ${points} loyalty points` } };
+                }
+                loyaltyDiscount = redemption.discount;
+            }
+            const price = ledgerService.roundAmount(pricing.price - loyaltyDiscount);
+
+            // A gift card pays as much of the price as it can, starting with what is due online
+            let giftCard = null;
+            let giftCardAmount = 0;
+            if (giftCardCode) {
+                const found = await giftCardService.findRedeemableCard(tx, giftCardCode, businessId);
+                if (!found.giftCard) {
+                    return { conflict: { status: found.status, message: found.message } };
+                }
+                giftCard = found.giftCard;
+                giftCardAmount = ledgerService.roundAmount(Math.min(giftCard.balance, price));
+            }
+
+            const appointment = await tx.appointment.create({
+                data: {
+                    customerId: req.user.id,
+                    businessId,
+                    serviceId,
+                    staffId: staffId || null,
+                    date: start,
+                    status: 'PENDING',
+                    ...bookingService.getServiceSnapshot(service),
+                    price,
+                    promotionId: pricing.promotion?.id || null,
+                    promotionDiscount: pricing.discount,
+                    customerPackageId: customerPackage?.id || null,
+                    loyaltyPointsRedeemed: loyaltyDiscount > 0 ? loyaltyPoints : 0,
+                    loyaltyDiscount,
+                    amountDue: Math.max(0, ledgerService.roundAmount(paymentService.getAmountDue(service, price) - giftCardAmount)),
+                },
+                include: {
+                    business: true,
+                    service: true,
+                    staff: true,
+                    customerPackage: true,
+                    customer: {
+                        select: {
+                            id: true,
+                            name: true,
+                            email: true
+                        }
                     }
+                },
+            });
+
+            await appointmentStatusService.recordEvent(tx, {
+                appointmentId: appointment.id,
+                type: 'CREATED',
+                toStatus: 'PENDING',
+                actor: req.user,
+            });
+
+            if (loyaltyDiscount > 0) {
+                const redeemed = await loyaltyService.takePoints(tx, {
+                    businessId,
+                    customerId: req.user.id,
+                    type: 'REDEEM',
+                    points: loyaltyPoints,
+                    appointmentId: appointment.id,
+                    actor: req.user,
+                    note: `Redeemed for ${service.name}`,
+                });
+                // The balance was read in this serializable transaction, so it cannot have fallen
+                if (!redeemed) {
+                    throw new Error('Loyalty balance changed during booking');
                 }
-            },
+            }
+
+            let giftCardRedemption = null;
+            if (giftCard && giftCardAmount > 0) {
+                giftCardRedemption = await giftCardService.redeemGiftCard(tx, {
+                    giftCard,
+                    appointment,
+                    amount: giftCardAmount,
+                    actor: req.user,
+                });
+                // The card was read in this serializable transaction, so it cannot have run out
+                if (!giftCardRedemption) {
+                    throw new Error('Gift card balance changed during booking');
+                }
+            }
+
+            return { appointment, giftCardRedemption };
         });
 
+        if (result.conflict) {
+            return sendSlotConflict(res, result.conflict, { business, service, staffId, start, customerId: req.user.id });
+        }
+
+        const { appointment, giftCardRedemption } = result;
+
+        // Release any waitlist hold this booking used
+        await waitlistService.markOfferBooked(req.user.id, businessId, start);
+
+        // Bookings that are paid for online are confirmed by the payment webhook
+        const payment = await startBookingPayment([appointment], business);
+
         const io = req.app.get('io');
 
         // 1. Notify Business Owner (always)
@@ -118,7 +419,7 @@ const createAppointment = async (req, res) => {
             appointment.business.ownerId,
             'APPOINTMENT_BOOKED',
             'New Appointment',
-            `${appointment.customer.name} booked ${appointment.service.name}`,
+            `${appointment.customer.name} booked ${appointment.serviceName}`,
             { appointmentId: appointment.id },
             io
         );
@@ -134,7 +435,7 @@ const createAppointment = async (req, res) => {
                     staff.userId,
                     'APPOINTMENT_ASSIGNED',
                     'New Appointment Assigned',
-                    `You have been assigned to ${appointment.service.name} for ${appointment.customer.name}`,
+                    `You have been assigned to ${appointment.serviceName} for ${appointment.customer.name}`,
                     { appointmentId: appointment.id },
                     io
                 );
@@ -143,7 +444,7 @@ const createAppointment = async (req, res) => {
             }
         }
 
-        res.status(201).json(appointment);
+        res.status(201).json({ ...appointment, payment, giftCard: giftCardRedemption });
     } catch (error) {
         console.error('Error in createAppointment:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -165,7 +466,7 @@ const getMyAppointments = async (req, res) => {
             orderBy: { date: 'desc' },
         });
 
-        res.json(appointments);
+        res.json(await ledgerService.withBalances(appointments));
     } catch (error) {
         console.error('Error in getMyAppointments:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -218,7 +519,7 @@ const getBusinessAppointments = async (req, res) => {
             orderBy: { date: 'asc' },
         });
 
-        res.json(appointments);
+        res.json(await ledgerService.withBalances(appointments));
     } catch (error) {
         console.error('Error in getBusinessAppointments:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -278,9 +579,14 @@ const updateAppointmentStatus = async (req, res) => {
             return res.status(403).json({ message: 'Staff can only confirm appointments' });
         }
 
-        const updatedAppointment = await prisma.appointment.update({
-            where: { id },
-            data: { status },
+        // Prepaid bookings are confirmed once the payment goes through
+        if (status === 'CONFIRMED' && await paymentService.isAwaitingPayment(appointment)) {
+            return res.status(409).json({ message: 'This appointment is awaiting payment' });
+        }
+
+        const transition = await appointmentStatusService.transitionStatus(id, status, {
+            actor: req.user,
+            io: req.app.get('io'),
             include: {
                 business: true,
                 service: true,
@@ -291,6 +597,12 @@ const updateAppointmentStatus = async (req, res) => {
             },
         });
 
+        if (transition.error) {
+            return res.status(transition.error.status).json({ message: transition.error.message });
+        }
+
+        const updatedAppointment = transition.appointment;
+
         const io = req.app.get('io');
 
         // CONFIRMED - Notify Customer + Owner (if staff confirmed)
@@ -300,7 +612,7 @@ const updateAppointmentStatus = async (req, res) => {
                 updatedAppointment.customerId,
                 'APPOINTMENT_CONFIRMED',
                 'Appointment Confirmed',
-                `Your appointment for ${updatedAppointment.service.name} has been confirmed`,
+                `Your appointment for ${updatedAppointment.serviceName} has been confirmed`,
                 { appointmentId: updatedAppointment.id },
                 io
             );
@@ -318,11 +630,25 @@ const updateAppointmentStatus = async (req, res) => {
                     updatedAppointment.business.ownerId,
                     'APPOINTMENT_CONFIRMED',
                     'Appointment Confirmed',
-                    `${staffName} confirmed appointment for ${updatedAppointment.service.name}`,
+                    `${staffName} confirmed appointment for ${updatedAppointment.serviceName}`,
                     { appointmentId: updatedAppointment.id },
                     io
                 );
             }
+
+            // Email the confirmation with times in the business time zone
+            const { timeZone } = updatedAppointment.business;
+            sendBookingConfirmation(updatedAppointment.customer.email, {
+                customerName: updatedAppointment.customer.name,
+                serviceName: updatedAppointment.serviceName,
+                businessName: updatedAppointment.business.name,
+                date: formatDate(updatedAppointment.date, timeZone),
+                time: formatTime(updatedAppointment.date, timeZone),
+                timeZone,
+                staffName: updatedAppointment.staff?.name,
+            }).catch(emailError => {
+                console.error('❌ Failed to send booking confirmation:', emailError.message);
+            });
         }
 
         // CANCELLED - Notify affected parties
@@ -333,7 +659,7 @@ const updateAppointmentStatus = async (req, res) => {
                     updatedAppointment.business.ownerId,
                     'APPOINTMENT_CANCELLED',
                     'Appointment Cancelled',
-                    `${updatedAppointment.customer.name} cancelled their appointment for ${updatedAppointment.service.name}`,
+                    `${updatedAppointment.customer.name} cancelled their appointment for ${updatedAppointment.serviceName}`,
                     { appointmentId: updatedAppointment.id },
                     io
                 );
@@ -358,7 +684,7 @@ const updateAppointmentStatus = async (req, res) => {
                     updatedAppointment.customerId,
                     'APPOINTMENT_CANCELLED',
                     'Appointment Cancelled',
-                    `Your appointment for ${updatedAppointment.service.name} has been cancelled`,
+                    `Your appointment for ${updatedAppointment.serviceName} has been cancelled`,
                     { appointmentId: updatedAppointment.id },
                     io
                 );
@@ -375,7 +701,7 @@ const updateAppointmentStatus = async (req, res) => {
                         updatedAppointment.business.ownerId,
                         'APPOINTMENT_CANCELLED',
                         'Appointment Cancelled',
-                        `${staffName} cancelled appointment for ${updatedAppointment.service.name}`,
+                        `${staffName} cancelled appointment for ${updatedAppointment.serviceName}`,
                         { appointmentId: updatedAppointment.id },
                         io
                     );
@@ -389,7 +715,7 @@ const updateAppointmentStatus = async (req, res) => {
                 updatedAppointment.customerId,
                 'APPOINTMENT_COMPLETED',
                 'Service Completed',
-                `Your appointment for ${updatedAppointment.service.name} has been completed`,
+                `Your appointment for ${updatedAppointment.serviceName} has been completed`,
                 { appointmentId: updatedAppointment.id },
                 io
             );
@@ -406,7 +732,7 @@ const updateAppointmentStatus = async (req, res) => {
                     updatedAppointment.business.ownerId,
                     'APPOINTMENT_COMPLETED',
                     'Appointment Completed',
-                    `${staffName} completed appointment for ${updatedAppointment.service.name}`,
+                    `${staffName} completed appointment for ${updatedAppointment.serviceName}`,
                     { appointmentId: updatedAppointment.id },
                     io
                 );
@@ -419,7 +745,7 @@ const updateAppointmentStatus = async (req, res) => {
                 updatedAppointment.customerId,
                 'APPOINTMENT_NO_SHOW',
                 'Marked as No-Show',
-                `Your appointment for ${updatedAppointment.service.name} was marked as no-show`,
+                `Your appointment for ${updatedAppointment.serviceName} was marked as no-show`,
                 { appointmentId: updatedAppointment.id },
                 io
             );
@@ -500,7 +826,7 @@ const initiateCompletion = async (req, res) => {
         // Send OTP email
         const bookingDetails = {
             customerName: appointment.customer.name,
-            serviceName: appointment.service.name,
+            serviceName: appointment.serviceName,
             businessName: appointment.business.name,
         };
 
@@ -549,23 +875,34 @@ const verifyCompletion = async (req, res) => {
             return res.status(400).json({ message: 'Invalid OTP' });
         }
 
+        if (appointment.otpExpires && appointment.otpExpires < new Date()) {
+            return res.status(400).json({ message: 'OTP expired' });
+        }
+
         // Update status to COMPLETED and clear OTP
-        const updatedAppointment = await prisma.appointment.update({
-            where: { id },
-            data: {
-                status: 'COMPLETED',
+        const transition = await appointmentStatusService.transitionStatus(id, 'COMPLETED', {
+            actor: req.user,
+            io: req.app.get('io'),
+            note: 'Completion verified with customer OTP',
+            extraData: {
                 completionOtp: null,
                 otpExpires: null
             },
         });
 
+        if (transition.error) {
+            return res.status(transition.error.status).json({ message: transition.error.message });
+        }
+
+        const updatedAppointment = transition.appointment;
+
         // Notify Customer of completion
         try {
             const notification = await notificationService.createNotification(
                 appointment.customerId,
                 'APPOINTMENT_COMPLETED',
                 'Service Completed',
-                `Your appointment for ${appointment.service?.name || 'service'} has been completed`,
+                `Your appointment for ${appointment.serviceName} has been completed`,
                 { appointmentId: appointment.id }
             );
             const io = req.app.get('io');
@@ -583,120 +920,186 @@ const verifyCompletion = async (req, res) => {
 
 // @desc    Get available time slots
 // @route   GET /api/appointments/available-slots
-// @access  Public
+// @access  Public (a signed-in customer also sees slots held for them)
 const getAvailableSlots = async (req, res) => {
-    const { businessId, serviceId, date } = req.query;
+    const { businessId, serviceId, staffId, date, serviceIds } = req.query;
 
-    if (!businessId || !serviceId || !date) {
+    if (!businessId || (!serviceId && !serviceIds) || !date) {
         return res.status(400).json({ message: 'Business, service, and date are required' });
     }
 
     try {
+        // Several services back to back: ?serviceIds=a,b,c&staffIds=x,,y (staff optional per service)
+        if (serviceIds) {
+            const staffIds = (req.query.staffIds || '').split(',');
+            const requested = serviceIds.split(',').map((id, index) => ({
+                serviceId: id,
+                staffId: staffIds[index] || null,
+            }));
+
+            const business = await prisma.business.findUnique({
+                where: { id: businessId },
+            });
+
+            if (!business) {
+                return res.status(404).json({ message: 'Business not found' });
+            }
+
+            const loaded = await bookingService.loadBookingItems(businessId, requested);
+            if (!loaded.items) {
+                return res.status(loaded.status).json({ message: loaded.message });
+            }
+
+            const dateKey = availabilityService.resolveDateKey(date, business.timeZone);
+            if (!dateKey) {
+                return res.status(400).json({ message: 'Invalid date' });
+            }
+
+            const slots = await availabilityService.getSequenceDaySlots({
+                business,
+                items: loaded.items,
+                dateKey,
+                customerId: req.user?.id,
+            });
+
+            return res.json(slots);
+        }
+
         const service = await prisma.service.findUnique({
             where: { id: serviceId },
+            include: {
+                assignedStaff: {
+                    include: {
+                        staff: {
+                            select: { id: true, name: true }
+                        }
+                    }
+                }
+            }
         });
 
-        if (!service) {
+        if (!service || service.archivedAt) {
             return res.status(404).json({ message: 'Service not found' });
         }
 
-        const serviceDuration = service.duration || 30;
+        const staff = service.assignedStaff.map(as => as.staff);
 
-        // Parse date and set boundaries
-        const selectedDate = new Date(date);
-        const startOfDay = new Date(selectedDate);
-        startOfDay.setHours(0, 0, 0, 0);
-        const endOfDay = new Date(selectedDate);
-        endOfDay.setHours(23, 59, 59, 999);
-
-        // Prevent booking in the past
-        const now = new Date();
-        if (endOfDay < now) {
-            return res.json([]);
+        if (staffId && !staff.some(s => s.id === staffId)) {
+            return res.status(400).json({
+                message: 'Selected staff member is not assigned to this service',
+                assignedStaffIds: staff.map(s => s.id)
+            });
         }
 
-        // Fetch business hours for the selected day
-        const dayOfWeek = selectedDate.getDay(); // 0-6
-        const businessHour = await prisma.businessHour.findFirst({
-            where: {
-                businessId,
-                dayOfWeek
-            }
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
         });
 
-        // If no hours set or closed, return empty slots
-        if (!businessHour || !businessHour.isOpen) {
-            return res.json([]);
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
         }
 
-        // Parse start and end times from "HH:mm" string
-        const [startHour, startMinute] = businessHour.startTime.split(':').map(Number);
-        const [endHour, endMinute] = businessHour.endTime.split(':').map(Number);
+        // Dates are calendar days in the business time zone
+        const dateKey = availabilityService.resolveDateKey(date, business.timeZone);
+        if (!dateKey) {
+            return res.status(400).json({ message: 'Invalid date' });
+        }
 
-        const businessStartTime = new Date(selectedDate);
-        businessStartTime.setHours(startHour, startMinute, 0, 0);
+        const slots = await availabilityService.getDaySlots({
+            business,
+            duration: service.duration || availabilityService.DEFAULT_SERVICE_DURATION,
+            service,
+            staff,
+            staffId,
+            dateKey,
+            customerId: req.user?.id,
+        });
 
-        const businessEndTime = new Date(selectedDate);
-        businessEndTime.setHours(endHour, endMinute, 0, 0);
+        res.json(slots);
+    } catch (error) {
+        console.error('Error in getAvailableSlots:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
 
-        // Get existing appointments
-        const appointments = await prisma.appointment.findMany({
-            where: {
-                businessId,
-                date: {
-                    gte: startOfDay,
-                    lte: endOfDay,
-                },
-                status: {
-                    in: ['PENDING', 'CONFIRMED'],
-                },
-            },
-            include: {
-                service: true,
-            },
-        });
+const MAX_CALENDAR_DAYS = 62;
 
-        const slots = [];
-        const slotInterval = 30; // minutes
+// @desc    Get availability for a range of days (month picker)
+// @route   GET /api/appointments/availability
+// @access  Public (a signed-in customer also sees slots held for them)
+const getAvailabilityCalendar = async (req, res) => {
+    const { businessId, serviceId, staffId, from, to } = req.query;
 
-        // Generate slots
-        let currentSlot = new Date(businessStartTime);
+    if (!businessId || !serviceId || !from || !to) {
+        return res.status(400).json({ message: 'Business, service, from and to dates are required' });
+    }
 
-        while (currentSlot < businessEndTime) {
-            // Skip past times if booking for today
-            if (currentSlot < now) {
-                currentSlot = new Date(currentSlot.getTime() + slotInterval * 60000);
-                continue;
-            }
+    if (!availabilityService.isValidDateKey(from) || !availabilityService.isValidDateKey(to)) {
+        return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+    }
 
-            const slotEnd = new Date(currentSlot.getTime() + serviceDuration * 60000);
+    if (from > to) {
+        return res.status(400).json({ message: 'Start date must be before end date' });
+    }
+
+    if (addDays(from, MAX_CALENDAR_DAYS - 1) < to) {
+        return res.status(400).json({ message: `Date range cannot be longer than ${MAX_CALENDAR_DAYS} days` });
+    }
 
-            // Check if slot ends after business hours
-            if (slotEnd > businessEndTime) {
-                break;
+    try {
+        const service = await prisma.service.findUnique({
+            where: { id: serviceId },
+            include: {
+                assignedStaff: {
+                    include: {
+                        staff: {
+                            select: { id: true, name: true }
+                        }
+                    }
+                }
             }
+        });
 
-            // Check for overlaps
-            const isBooked = appointments.some((apt) => {
-                const aptStart = new Date(apt.date);
-                const aptDuration = apt.service?.duration || 30;
-                const aptEnd = new Date(aptStart.getTime() + aptDuration * 60000);
+        if (!service || service.archivedAt) {
+            return res.status(404).json({ message: 'Service not found' });
+        }
 
-                // Overlap condition: (StartA < EndB) and (EndA > StartB)
-                return currentSlot < aptEnd && slotEnd > aptStart;
-            });
+        const staff = service.assignedStaff.map(as => as.staff);
 
-            slots.push({
-                time: currentSlot.toISOString(),
-                available: !isBooked,
+        if (staffId && !staff.some(s => s.id === staffId)) {
+            return res.status(400).json({
+                message: 'Selected staff member is not assigned to this service',
+                assignedStaffIds: staff.map(s => s.id)
             });
+        }
+
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
+        });
 
-            currentSlot = new Date(currentSlot.getTime() + slotInterval * 60000);
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
         }
 
-        res.json(slots);
+        const days = await availabilityService.getRangeSlots({
+            business,
+            duration: service.duration || availabilityService.DEFAULT_SERVICE_DURATION,
+            service,
+            staff,
+            staffId,
+            from,
+            to,
+            customerId: req.user?.id,
+        });
+
+        res.json({
+            timeZone: business.timeZone,
+            from,
+            to,
+            days,
+        });
     } catch (error) {
-        console.error('Error in getAvailableSlots:', error);
+        console.error('Error in getAvailabilityCalendar:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
@@ -733,9 +1136,9 @@ const markAsCompleted = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        const updated = await prisma.appointment.update({
-            where: { id },
-            data: { status: 'COMPLETED' },
+        const transition = await appointmentStatusService.transitionStatus(id, 'COMPLETED', {
+            actor: req.user,
+            io: req.app.get('io'),
             include: {
                 customer: true,
                 service: true,
@@ -744,6 +1147,12 @@ const markAsCompleted = async (req, res) => {
             },
         });
 
+        if (transition.error) {
+            return res.status(transition.error.status).json({ message: transition.error.message });
+        }
+
+        const updated = transition.appointment;
+
         const io = req.app.get('io');
 
         // Notify Customer
@@ -751,7 +1160,7 @@ const markAsCompleted = async (req, res) => {
             updated.customerId,
             'APPOINTMENT_COMPLETED',
             'Service Completed',
-            `Your appointment for ${updated.service.name} has been completed`,
+            `Your appointment for ${updated.serviceName} has been completed`,
             { appointmentId: updated.id },
             io
         );
@@ -768,7 +1177,7 @@ const markAsCompleted = async (req, res) => {
                 updated.business.ownerId,
                 'APPOINTMENT_COMPLETED',
                 'Appointment Completed',
-                `${staffName} completed appointment for ${updated.service.name}`,
+                `${staffName} completed appointment for ${updated.serviceName}`,
                 { appointmentId: updated.id },
                 io
             );
@@ -813,9 +1222,9 @@ const markAsNoShow = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        const updated = await prisma.appointment.update({
-            where: { id },
-            data: { status: 'NO_SHOW' },
+        const transition = await appointmentStatusService.transitionStatus(id, 'NO_SHOW', {
+            actor: req.user,
+            io: req.app.get('io'),
             include: {
                 customer: true,
                 service: true,
@@ -823,7 +1232,11 @@ const markAsNoShow = async (req, res) => {
             },
         });
 
-        res.json(updated);
+        if (transition.error) {
+            return res.status(transition.error.status).json({ message: transition.error.message });
+        }
+
+        res.json(transition.appointment);
     } catch (error) {
         console.error('Error in markAsNoShow:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -835,30 +1248,269 @@ const markAsNoShow = async (req, res) => {
 // @access  Private (Business Owner)
 const cleanupExpiredAppointments = async (req, res) => {
     try {
-        const now = new Date();
-
         // Auto-cancel PENDING appointments that are past their date
-        const result = await prisma.appointment.updateMany({
-            where: {
-                status: 'PENDING',
-                date: {
-                    lt: now,
-                },
-                business: {
-                    ownerId: req.user.id,
+        const count = await appointmentStatusService.cancelExpiredAppointments({
+            ownerId: req.user.id,
+            actor: req.user,
+            io: req.app.get('io'),
+        });
+
+        res.json({
+            message: `Cleaned up ${count} expired pending appointments`,
+            count,
+        });
+    } catch (error) {
+        console.error('Error in cleanupExpiredAppointments:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Cancel own appointment
+// @route   PUT /api/appointments/:id/cancel
+// @access  Private (Customer)
+const cancelMyAppointment = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!appointment || appointment.customerId !== req.user.id) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (!['PENDING', 'CONFIRMED'].includes(appointment.status)) {
+            return res.status(400).json({ message: `Cannot cancel an appointment that is ${appointment.status}` });
+        }
+
+        const policyError = bookingService.checkChangePolicy(appointment.business, appointment, { cancelling: true });
+        if (policyError) {
+            return res.status(policyError.status).json({ message: policyError.message });
+        }
+
+        // Charged by settleCancellation once the appointment is cancelled
+        const cancellationFee = paymentService.getCancellationFee(appointment, req.user);
+
+        const transition = await appointmentStatusService.transitionStatus(id, 'CANCELLED', {
+            actor: req.user,
+            io: req.app.get('io'),
+            note: 'Cancelled by customer',
+            include: {
+                business: true,
+                service: true,
+                staff: true,
+                customer: {
+                    select: { name: true, email: true },
                 },
             },
-            data: {
-                status: 'CANCELLED',
+        });
+
+        if (transition.error) {
+            return res.status(transition.error.status).json({ message: transition.error.message });
+        }
+
+        const updated = transition.appointment;
+
+        const io = req.app.get('io');
+
+        // Notify Owner
+        await notifyUser(
+            updated.business.ownerId,
+            'APPOINTMENT_CANCELLED',
+            'Appointment Cancelled',
+            `${updated.customer.name} cancelled their appointment for ${updated.serviceName}`,
+            { appointmentId: updated.id },
+            io
+        );
+
+        // If staff assigned, notify them too
+        if (updated.staffId) {
+            const staff = await getStaffUser(updated.staffId);
+            if (staff) {
+                await notifyUser(
+                    staff.userId,
+                    'APPOINTMENT_CANCELLED',
+                    'Appointment Cancelled',
+                    `${updated.customer.name} cancelled their appointment`,
+                    { appointmentId: updated.id },
+                    io
+                );
+            }
+        }
+
+        res.json({ ...updated, cancellationFee });
+    } catch (error) {
+        console.error('Error in cancelMyAppointment:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Reschedule own appointment
+// @route   PUT /api/appointments/:id/reschedule
+// @access  Private (Customer)
+const rescheduleMyAppointment = async (req, res) => {
+    const { id } = req.params;
+    const { date } = req.body;
+
+    if (!date) {
+        return res.status(400).json({ message: 'New date is required' });
+    }
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: {
+                business: true,
+                service: {
+                    include: {
+                        assignedStaff: {
+                            include: {
+                                staff: true
+                            }
+                        }
+                    }
+                },
             },
         });
 
-        res.json({
-            message: `Cleaned up ${result.count} expired pending appointments`,
-            count: result.count,
+        if (!appointment || appointment.customerId !== req.user.id) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (!['PENDING', 'CONFIRMED'].includes(appointment.status)) {
+            return res.status(400).json({ message: `Cannot reschedule an appointment that is ${appointment.status}` });
+        }
+
+        // Moving one service alone would break the back-to-back booking it belongs to
+        if (appointment.bookingId) {
+            return res.status(400).json({ message: 'Appointments booked together with other services cannot be rescheduled one at a time' });
+        }
+
+        const policyError = bookingService.checkChangePolicy(appointment.business, appointment);
+        if (policyError) {
+            return res.status(policyError.status).json({ message: policyError.message });
+        }
+
+        // Keep the current staff member unless a new one was chosen
+        const staffId = req.body.staffId !== undefined ? req.body.staffId : appointment.staffId;
+        const { business } = appointment;
+        // The new slot is for the duration that was booked
+        const service = { ...appointment.service, duration: appointment.serviceDuration };
+
+        const staffError = bookingService.validateStaffSelection(service, staffId);
+        if (staffError) {
+            return res.status(staffError.status).json({
+                message: staffError.message,
+                assignedStaffIds: staffError.assignedStaffIds
+            });
+        }
+
+        const staffBusinessError = await bookingService.validateStaffBusiness(appointment.businessId, staffId);
+        if (staffBusinessError) {
+            return res.status(staffBusinessError.status).json({ message: staffBusinessError.message });
+        }
+
+        const start = new Date(date);
+
+        const result = await bookingService.runBookingTransaction(async (tx) => {
+            const conflict = await bookingService.validateSlot(tx, {
+                business,
+                service,
+                staffId,
+                start,
+                excludeAppointmentId: id,
+                customerId: req.user.id,
+            });
+
+            if (conflict) {
+                return { conflict };
+            }
+
+            const updated = await tx.appointment.update({
+                where: { id },
+                data: {
+                    date: start,
+                    staffId: staffId || null,
+                },
+                include: {
+                    business: true,
+                    service: true,
+                    staff: true,
+                    customer: {
+                        select: { name: true, email: true },
+                    },
+                },
+            });
+
+            // Reminders were for the old time
+            await tx.appointmentReminder.deleteMany({
+                where: { appointmentId: id },
+            });
+
+            await appointmentStatusService.recordEvent(tx, {
+                appointmentId: id,
+                type: 'RESCHEDULED',
+                actor: req.user,
+                data: {
+                    previousDate: appointment.date,
+                    previousStaffId: appointment.staffId,
+                    date: start,
+                    staffId: staffId || null,
+                },
+            });
+
+            return { appointment: updated };
         });
+
+        if (result.conflict) {
+            return sendSlotConflict(res, result.conflict, {
+                business,
+                service,
+                staffId,
+                start,
+                excludeAppointmentId: id,
+                customerId: req.user.id,
+            });
+        }
+
+        const updated = result.appointment;
+        const io = req.app.get('io');
+        const { timeZone } = updated.business;
+        const newTime = `${formatDate(updated.date, timeZone)} at ${formatTime(updated.date, timeZone)}`;
+
+        // Notify Owner
+        await notifyUser(
+            updated.business.ownerId,
+            'APPOINTMENT_RESCHEDULED',
+            'Appointment Rescheduled',
+            `${updated.customer.name} rescheduled ${updated.serviceName} to ${newTime}`,
+            { appointmentId: updated.id },
+            io
+        );
+
+        // Notify the assigned staff, and the previous staff if it changed
+        const staffToNotify = new Set([appointment.staffId, updated.staffId].filter(Boolean));
+        for (const notifyStaffId of staffToNotify) {
+            const staff = await getStaffUser(notifyStaffId);
+            if (staff) {
+                await notifyUser(
+                    staff.userId,
+                    'APPOINTMENT_RESCHEDULED',
+                    'Appointment Rescheduled',
+                    notifyStaffId === updated.staffId
+                        ? `${updated.customer.name} rescheduled ${updated.serviceName} to ${newTime}`
+                        : `${updated.customer.name}'s appointment for ${updated.serviceName} was moved to another staff member`,
+                    { appointmentId: updated.id },
+                    io
+                );
+            }
+        }
+
+        res.json(updated);
     } catch (error) {
-        console.error('Error in cleanupExpiredAppointments:', error);
+        console.error('Error in rescheduleMyAppointment:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
     }
 };
@@ -882,7 +1534,7 @@ const claimAppointment = async (req, res) => {
         // Get appointment
         const appointment = await prisma.appointment.findUnique({
             where: { id },
-            include: { business: true }
+            include: { business: true, service: true }
         });
 
         if (!appointment) {
@@ -899,18 +1551,70 @@ const claimAppointment = async (req, res) => {
             return res.status(400).json({ message: 'Appointment already assigned' });
         }
 
-        // Claim appointment
-        const updated = await prisma.appointment.update({
-            where: { id },
-            data: { staffId: staff.id },
-            include: {
-                customer: true,
-                service: true,
-                staff: true,
-                business: true
+        // Check the staff member is free and claim in one transaction, so two
+        // staff members (or a booking and a claim) cannot both take the time
+        const result = await bookingService.runBookingTransaction(async (tx) => {
+            // Verify the staff member is working and free at the appointment time
+            const { timeZone } = appointment.business;
+            const { start, end } = availabilityService.getAppointmentRange(appointment);
+            const { start: startOfDay, end: endOfDay } = availabilityService.getDayBounds(toDateKey(start, timeZone), timeZone);
+            const [otherAppointments, schedules] = await Promise.all([
+                availabilityService.getBlockingTime(appointment.businessId, startOfDay, endOfDay, {
+                    customerId: appointment.customerId,
+                    excludeAppointmentId: appointment.id,
+                }, tx),
+                availabilityService.getStaffSchedules([staff.id], startOfDay, endOfDay, timeZone, tx),
+            ]);
+            const staffAppointments = otherAppointments.filter(apt => apt.staffId);
+            const freeStaffIds = availabilityService.findFreeStaff(
+                staffAppointments,
+                [staff.id],
+                start,
+                end,
+                availabilityService.applyDailyCap(schedules, staffAppointments, appointment.business.dailyStaffCap),
+                { ...appointment.service, duration: appointment.serviceDuration }
+            );
+
+            if (freeStaffIds.length === 0) {
+                return { conflict: { status: 409, message: 'You are not available at the time of this appointment' } };
             }
+
+            // Claim appointment, unless someone else did first
+            const { count } = await tx.appointment.updateMany({
+                where: { id, staffId: null },
+                data: { staffId: staff.id },
+            });
+
+            if (count === 0) {
+                return { conflict: { status: 409, message: 'Appointment already assigned' } };
+            }
+
+            await appointmentStatusService.recordEvent(tx, {
+                appointmentId: id,
+                type: 'STAFF_ASSIGNED',
+                actor: req.user,
+                note: `Claimed by ${staff.name}`,
+                data: { staffId: staff.id },
+            });
+
+            const claimed = await tx.appointment.findUnique({
+                where: { id },
+                include: {
+                    customer: true,
+                    service: true,
+                    staff: true,
+                    business: true
+                }
+            });
+
+            return { appointment: claimed };
         });
 
+        if (result.conflict) {
+            return res.status(result.conflict.status).json({ message: result.conflict.message });
+        }
+
+        const updated = result.appointment;
         const io = req.app.get('io');
 
         // Notify Owner that staff claimed appointment
@@ -918,7 +1622,7 @@ const claimAppointment = async (req, res) => {
             updated.business.ownerId,
             'STAFF_CLAIMED',
             'Appointment Claimed',
-            `${staff.name} claimed the appointment for ${updated.service.name}`,
+            `${staff.name} claimed the appointment for ${updated.serviceName}`,
             { appointmentId: updated.id },
             io
         );
@@ -940,16 +1644,72 @@ const claimAppointment = async (req, res) => {
     }
 };
 
+// @desc    Get the status history of an appointment
+// @route   GET /api/appointments/:id/history
+// @access  Private (Owner, Staff, or the customer)
+const getAppointmentHistory = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!appointment) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        const isOwner = appointment.business.ownerId === req.user.id;
+        const isCustomer = appointment.customerId === req.user.id;
+
+        let isStaff = false;
+        if (req.user.role === 'STAFF') {
+            const staffProfile = await prisma.staff.findUnique({
+                where: { userId: req.user.id }
+            });
+            isStaff = staffProfile && appointment.staffId === staffProfile.id;
+        }
+
+        if (!isOwner && !isCustomer && !isStaff) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const events = await prisma.appointmentEvent.findMany({
+            where: { appointmentId: id },
+            include: {
+                actor: {
+                    select: { id: true, name: true, role: true },
+                },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json({
+            appointmentId: id,
+            status: appointment.status,
+            events,
+        });
+    } catch (error) {
+        console.error('Error in getAppointmentHistory:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
 module.exports = {
     createAppointment,
     getMyAppointments,
     getBusinessAppointments,
     updateAppointmentStatus,
     getAvailableSlots,
+    getAvailabilityCalendar,
     initiateCompletion,
     verifyCompletion,
     markAsCompleted,
     markAsNoShow,
     cleanupExpiredAppointments,
+    cancelMyAppointment,
+    rescheduleMyAppointment,
     claimAppointment,
+    getAppointmentHistory,
 };
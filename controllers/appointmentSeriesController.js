@@ -0,0 +1,384 @@
+const prisma = require('../lib/prisma');
+const bookingService = require('../services/bookingService');
+const paymentService = require('../services/paymentService');
+const packageService = require('../services/packageService');
+const recurrenceService = require('../services/recurrenceService');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const { notifyUser, getStaffUser } = require('../utils/notify');
+const { toDateKey } = require('../utils/timeZone');
+
+// Helper function to load a series and check the user is its customer or the business owner
+const getAccessibleSeries = async (seriesId, user) => {
+    const series = await prisma.appointmentSeries.findUnique({
+        where: { id: seriesId },
+        include: {
+            business: true,
+            service: true,
+            staff: true,
+            customer: {
+                select: { id: true, name: true, email: true },
+            },
+        },
+    });
+
+    if (!series) {
+        return { status: 404, message: 'Series not found' };
+    }
+
+    const isOwner = series.business.ownerId === user.id;
+    const isCustomer = series.customerId === user.id;
+    if (!isOwner && !isCustomer) {
+        return { status: 404, message: 'Series not found' };
+    }
+
+    return { series, isOwner, isCustomer };
+};
+
+// @desc    Book a recurring appointment series
+// @route   POST /api/appointments/series
+// @access  Private (Customer)
+const createAppointmentSeries = async (req, res) => {
+    const { businessId, serviceId, staffId, date, recurrence, promoCode, usePackage } = req.body;
+
+    if (!businessId || !serviceId || !date) {
+        return res.status(400).json({ message: 'Business, service, and date are required' });
+    }
+
+    const start = new Date(date);
+    if (isNaN(start.getTime())) {
+        return res.status(400).json({ message: 'Invalid appointment date' });
+    }
+
+    const recurrenceError = recurrenceService.validateRecurrence(recurrence, start);
+    if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+    }
+
+    try {
+        const service = await prisma.service.findUnique({
+            where: { id: serviceId },
+            include: {
+                assignedStaff: {
+                    include: {
+                        staff: true
+                    }
+                }
+            }
+        });
+
+        if (!service || service.archivedAt) {
+            return res.status(404).json({ message: 'Service not found' });
+        }
+
+        if (service.businessId !== businessId) {
+            return res.status(400).json({ message: 'Service does not belong to this business' });
+        }
+
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
+        });
+
+        const staffError = bookingService.validateStaffSelection(service, staffId);
+        if (staffError) {
+            return res.status(staffError.status).json({
+                message: staffError.message,
+                assignedStaffIds: staffError.assignedStaffIds
+            });
+        }
+
+        const staffBusinessError = await bookingService.validateStaffBusiness(businessId, staffId);
+        if (staffBusinessError) {
+            return res.status(staffBusinessError.status).json({ message: staffBusinessError.message });
+        }
+
+        const dates = recurrenceService.buildOccurrenceDates(start, recurrence, business.timeZone);
+
+        const result = await bookingService.runBookingTransaction(async (tx) => {
+            // Check every occurrence against hours and staff availability first
+            const available = [];
+            const conflicts = [];
+            for (const [index, occurrence] of dates.entries()) {
+                const conflict = await bookingService.validateSlot(tx, {
+                    business,
+                    service,
+                    staffId,
+                    start: occurrence,
+                    customerId: req.user.id,
+                });
+
+                if (conflict) {
+                    conflicts.push({
+                        index,
+                        date: occurrence.toISOString(),
+                        localDate: toDateKey(occurrence, business.timeZone),
+                        message: conflict.message,
+                    });
+                } else {
+                    available.push({ index, date: occurrence });
+                }
+            }
+
+            if (available.length === 0) {
+                return { conflicts };
+            }
+
+            const { pricings, error: promoError } = await bookingService.priceBookingItems(tx, {
+                business,
+                planned: available.map(({ date: occurrence }) => ({ service, start: occurrence })),
+                customerId: req.user.id,
+                promoCode,
+                usePackage,
+            });
+            if (promoError) {
+                return { conflict: promoError };
+            }
+
+            // A series is not paid for online, so prepaid services cannot repeat
+            if (pricings.some(pricing => paymentService.getAmountDue(service, pricing.price) > 0)) {
+                return {
+                    conflict: {
+                        status: 400,
+                        message: 'Services paid for online when booking cannot be booked as a recurring series',
+                    },
+                };
+            }
+
+            const series = await tx.appointmentSeries.create({
+                data: {
+                    frequency: recurrence.frequency,
+                    occurrences: recurrence.count ?? null,
+                    until: recurrence.until !== undefined ? new Date(recurrence.until) : null,
+                    customerId: req.user.id,
+                    businessId,
+                    serviceId,
+                    staffId: staffId || null,
+                },
+            });
+
+            for (const [position, { index, date: occurrence }] of available.entries()) {
+                const pricing = pricings[position];
+                // The packages were read in this serializable transaction, so they cannot have run out
+                if (pricing.customerPackage && !(await packageService.consumeSession(tx, pricing.customerPackage))) {
+                    throw new Error('Package sessions changed during booking');
+                }
+
+                const appointment = await tx.appointment.create({
+                    data: {
+                        customerId: req.user.id,
+                        businessId,
+                        serviceId,
+                        staffId: staffId || null,
+                        date: occurrence,
+                        status: 'PENDING',
+                        seriesId: series.id,
+                        seriesIndex: index,
+                        ...bookingService.getServiceSnapshot(service),
+                        price: pricing.price,
+                        promotionId: pricing.promotion?.id || null,
+                        promotionDiscount: pricing.discount,
+                        customerPackageId: pricing.customerPackage?.id || null,
+                    },
+                });
+
+                await appointmentStatusService.recordEvent(tx, {
+                    appointmentId: appointment.id,
+                    type: 'CREATED',
+                    toStatus: 'PENDING',
+                    actor: req.user,
+                    data: { seriesId: series.id },
+                });
+            }
+
+            const created = await tx.appointmentSeries.findUnique({
+                where: { id: series.id },
+                include: {
+                    customer: {
+                        select: { id: true, name: true, email: true },
+                    },
+                    appointments: {
+                        orderBy: { date: 'asc' },
+                    },
+                },
+            });
+
+            return { series: created, conflicts };
+        });
+
+        if (result.conflict) {
+            return res.status(result.conflict.status).json({ message: result.conflict.message });
+        }
+
+        if (!result.series) {
+            return res.status(409).json({
+                message: 'None of the requested occurrences are available',
+                conflicts: result.conflicts,
+            });
+        }
+
+        const { series, conflicts } = result;
+        const io = req.app.get('io');
+        const first = series.appointments[0];
+
+        // Notify Business Owner
+        await notifyUser(
+            business.ownerId,
+            'APPOINTMENT_BOOKED',
+            'New Recurring Booking',
+            `${series.customer.name} booked ${series.appointments.length} recurring appointments for ${service.name}`,
+            { appointmentId: first.id, seriesId: series.id },
+            io
+        );
+
+        // If staff assigned, notify Staff
+        if (staffId) {
+            const staff = await getStaffUser(staffId);
+            if (staff) {
+                await notifyUser(
+                    staff.userId,
+                    'APPOINTMENT_ASSIGNED',
+                    'New Recurring Appointments Assigned',
+                    `You have been assigned to ${series.appointments.length} recurring appointments for ${service.name}`,
+                    { appointmentId: first.id, seriesId: series.id },
+                    io
+                );
+            }
+        }
+
+        res.status(201).json({ ...series, conflicts });
+    } catch (error) {
+        console.error('Error in createAppointmentSeries:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a recurring series with its occurrences
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private (Customer or Owner)
+const getAppointmentSeries = async (req, res) => {
+    const { seriesId } = req.params;
+
+    try {
+        const result = await getAccessibleSeries(seriesId, req.user);
+        if (!result.series) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const appointments = await prisma.appointment.findMany({
+            where: { seriesId },
+            include: {
+                service: true,
+                staff: true,
+            },
+            orderBy: { date: 'asc' },
+        });
+
+        res.json({ ...result.series, appointments });
+    } catch (error) {
+        console.error('Error in getAppointmentSeries:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Cancel the rest of a series (from a given occurrence, or all upcoming ones)
+// @route   PUT /api/appointments/series/:seriesId/cancel
+// @access  Private (Customer or Owner)
+const cancelAppointmentSeries = async (req, res) => {
+    const { seriesId } = req.params;
+    const { fromAppointmentId } = req.body;
+
+    try {
+        const result = await getAccessibleSeries(seriesId, req.user);
+        if (!result.series) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const { series, isOwner } = result;
+
+        let from = new Date();
+        if (fromAppointmentId) {
+            const fromAppointment = await prisma.appointment.findUnique({
+                where: { id: fromAppointmentId },
+            });
+
+            if (!fromAppointment || fromAppointment.seriesId !== seriesId) {
+                return res.status(404).json({ message: 'Appointment not found in this series' });
+            }
+            from = fromAppointment.date;
+        }
+
+        const upcoming = await prisma.appointment.findMany({
+            where: {
+                seriesId,
+                date: { gte: from },
+                status: { in: ['PENDING', 'CONFIRMED'] },
+            },
+            orderBy: { date: 'asc' },
+        });
+
+        if (upcoming.length === 0) {
+            return res.status(400).json({ message: 'No upcoming appointments to cancel in this series' });
+        }
+
+        // Customers must respect the cancellation window for the first one.
+        // Any late cancellation fee is charged per appointment as it is cancelled.
+        if (!isOwner) {
+            const policyError = bookingService.checkChangePolicy(series.business, upcoming[0], { cancelling: true });
+            if (policyError) {
+                return res.status(policyError.status).json({ message: policyError.message });
+            }
+        }
+
+        const cancelled = [];
+        for (const appointment of upcoming) {
+            const transition = await appointmentStatusService.transitionStatus(appointment.id, 'CANCELLED', {
+                actor: req.user,
+                note: 'Cancelled with the rest of the series',
+                io: req.app.get('io'),
+            });
+            if (transition.appointment) {
+                cancelled.push(transition.appointment.id);
+            }
+        }
+
+        const io = req.app.get('io');
+        const message = `${cancelled.length} recurring appointments for ${series.service.name} were cancelled`;
+
+        // Let the other party know
+        await notifyUser(
+            isOwner ? series.customerId : series.business.ownerId,
+            'APPOINTMENT_CANCELLED',
+            'Recurring Appointments Cancelled',
+            isOwner ? message : `${series.customer.name} cancelled ${cancelled.length} recurring appointments for ${series.service.name}`,
+            { seriesId, appointmentIds: cancelled },
+            io
+        );
+
+        if (series.staffId) {
+            const staff = await getStaffUser(series.staffId);
+            if (staff) {
+                await notifyUser(
+                    staff.userId,
+                    'APPOINTMENT_CANCELLED',
+                    'Recurring Appointments Cancelled',
+                    message,
+                    { seriesId, appointmentIds: cancelled },
+                    io
+                );
+            }
+        }
+
+        res.json({
+            message: `Cancelled ${cancelled.length} appointments`,
+            cancelledAppointmentIds: cancelled,
+        });
+    } catch (error) {
+        console.error('Error in cancelAppointmentSeries:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    createAppointmentSeries,
+    getAppointmentSeries,
+    cancelAppointmentSeries,
+};
@@ -2,6 +2,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const prisma = require('../lib/prisma');
 const { sendVerificationEmail } = require('../utils/emailService');
+const packageService = require('../services/packageService');
 
 const generateToken = (id) => {
     return jwt.sign({ id }, process.env.JWT_SECRET, {
@@ -177,6 +178,12 @@ const getMe = async (req, res) => {
                 createdAt: true,
             },
         });
+
+        // Customers see the packages and memberships they can still use
+        if (user && user.role === 'CUSTOMER') {
+            user.packages = await packageService.getCustomerPackages(user.id, { activeOnly: true });
+        }
+
         res.status(200).json(user);
     } catch (error) {
         console.error(error);
@@ -1,15 +1,73 @@
 const prisma = require('../lib/prisma');
+const { DEFAULT_TIME_ZONE, isValidTimeZone, toDateKey } = require('../utils/timeZone');
+const { MAX_REMINDER_HOURS, isValidReminderHours } = require('../services/reminderService');
+
+// Helper function to validate booking rules. null clears the optional limits.
+const validateBookingRules = ({ slotInterval, minNoticeMinutes, maxAdvanceDays, dailyStaffCap }) => {
+    if (slotInterval !== undefined) {
+        const interval = parseInt(slotInterval);
+        if (!(interval >= 5 && interval <= 240 && interval % 5 === 0)) {
+            return 'Slot interval must be a multiple of 5 minutes between 5 and 240';
+        }
+    }
+    if (minNoticeMinutes !== undefined && !(parseInt(minNoticeMinutes) >= 0)) {
+        return 'Minimum notice must be zero or more minutes';
+    }
+    if (maxAdvanceDays !== undefined && maxAdvanceDays !== null && !(parseInt(maxAdvanceDays) >= 1)) {
+        return 'Maximum advance booking must be at least 1 day';
+    }
+    if (dailyStaffCap !== undefined && dailyStaffCap !== null && !(parseInt(dailyStaffCap) >= 1)) {
+        return 'Daily staff cap must be at least 1 appointment';
+    }
+    return null;
+};
+
+// Helper function to validate loyalty rules. null clears the points expiry.
+const validateLoyaltyRules = ({ loyaltyPointsPerUnit, loyaltyPointsPerVisit, loyaltyPointsExpiryDays, loyaltyPointValue, loyaltyMinRedeemPoints, loyaltyMaxRedeemPercent }) => {
+    if (loyaltyPointsPerUnit !== undefined && !(parseFloat(loyaltyPointsPerUnit) >= 0)) {
+        return 'Points per unit spent must be zero or more';
+    }
+    if (loyaltyPointsPerVisit !== undefined && !(parseInt(loyaltyPointsPerVisit) >= 0)) {
+        return 'Points per visit must be zero or more';
+    }
+    if (loyaltyPointsExpiryDays !== undefined && loyaltyPointsExpiryDays !== null && !(parseInt(loyaltyPointsExpiryDays) >= 1)) {
+        return 'Points must be valid for at least 1 day';
+    }
+    if (loyaltyPointValue !== undefined && !(parseFloat(loyaltyPointValue) >= 0)) {
+        return 'Point value must be zero or more';
+    }
+    if (loyaltyMinRedeemPoints !== undefined && !(parseInt(loyaltyMinRedeemPoints) >= 0)) {
+        return 'Minimum points to redeem must be zero or more';
+    }
+    if (loyaltyMaxRedeemPercent !== undefined) {
+        const maxPercent = parseInt(loyaltyMaxRedeemPercent);
+        if (!(maxPercent >= 0 && maxPercent <= 100)) {
+            return 'Share of a price paid with points must be between 0 and 100 percent';
+        }
+    }
+    return null;
+};
+
+// Helper function to only keep today's and future special hours
+const upcomingSpecialHours = (business) => {
+    const today = toDateKey(new Date(), business.timeZone);
+    return business.specialHours.filter(h => h.date >= today);
+};
 
 // @desc    Create new business
 // @route   POST /api/businesses
 // @access  Private (Owner only)
 const createBusiness = async (req, res) => {
-    const { name, description, address, phone, latitude, longitude, category, hours } = req.body;
+    const { name, description, address, phone, latitude, longitude, category, hours, timeZone } = req.body;
 
     if (!name) {
         return res.status(400).json({ message: 'Business name is required' });
     }
 
+    if (timeZone && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ message: 'Invalid time zone' });
+    }
+
     try {
         // Check if user already has a business
         const existingBusiness = await prisma.business.findFirst({
@@ -29,6 +87,7 @@ const createBusiness = async (req, res) => {
                 latitude: latitude ? parseFloat(latitude) : null,
                 longitude: longitude ? parseFloat(longitude) : null,
                 category,
+                timeZone: timeZone || DEFAULT_TIME_ZONE,
                 ownerId: req.user.id,
                 hours: {
                     create: hours || []
@@ -46,19 +105,26 @@ const createBusiness = async (req, res) => {
     }
 };
 
-// @desc    Get current owner's business
+// @desc    Get current owner's business. Archived services are left out unless ?includeArchived=true.
 // @route   GET /api/businesses/my
 // @access  Private (Owner only)
 const getMyBusiness = async (req, res) => {
+    const includeArchived = req.query.includeArchived === 'true';
+
     try {
         const business = await prisma.business.findFirst({
             where: { ownerId: req.user.id },
             include: {
-                services: true,
+                services: {
+                    where: includeArchived ? {} : { archivedAt: null }
+                },
                 staff: true,
                 appointments: true,
                 hours: {
                     orderBy: { dayOfWeek: 'asc' }
+                },
+                specialHours: {
+                    orderBy: { date: 'asc' }
                 }
             },
         });
@@ -67,7 +133,7 @@ const getMyBusiness = async (req, res) => {
             return res.status(404).json({ message: 'No business found' });
         }
 
-        res.json(business);
+        res.json({ ...business, specialHours: upcomingSpecialHours(business) });
     } catch (error) {
         console.error('Error in getMyBusiness:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
@@ -79,7 +145,43 @@ const getMyBusiness = async (req, res) => {
 // @access  Private (Owner only)
 const updateBusiness = async (req, res) => {
     const { id } = req.params;
-    const { name, description, address, phone, latitude, longitude, category, hours } = req.body;
+    const { name, description, address, phone, latitude, longitude, category, hours, timeZone, cancellationWindowHours, remindersEnabled, reminderHours } = req.body;
+    const { slotInterval, minNoticeMinutes, maxAdvanceDays, dailyStaffCap, lateCancellationFeePercent } = req.body;
+    const { taxName, taxRate, pricesIncludeTax, taxRegistrationNumber } = req.body;
+    const { loyaltyEnabled, loyaltyPointsPerUnit, loyaltyPointsPerVisit, loyaltyPointsExpiryDays, loyaltyPointValue, loyaltyMinRedeemPoints, loyaltyMaxRedeemPercent } = req.body;
+
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({ message: 'Invalid time zone' });
+    }
+
+    if (cancellationWindowHours !== undefined && !(parseInt(cancellationWindowHours) >= 0)) {
+        return res.status(400).json({ message: 'Cancellation window must be zero or more hours' });
+    }
+
+    if (lateCancellationFeePercent !== undefined) {
+        const feePercent = parseInt(lateCancellationFeePercent);
+        if (!(feePercent >= 0 && feePercent <= 100)) {
+            return res.status(400).json({ message: 'Late cancellation fee must be between 0 and 100 percent' });
+        }
+    }
+
+    if (reminderHours !== undefined && !isValidReminderHours(reminderHours)) {
+        return res.status(400).json({ message: `Reminder hours must be whole hours between 1 and ${MAX_REMINDER_HOURS}` });
+    }
+
+    if (taxRate !== undefined && !(parseFloat(taxRate) >= 0 && parseFloat(taxRate) <= 100)) {
+        return res.status(400).json({ message: 'Tax rate must be between 0 and 100 percent' });
+    }
+
+    const bookingRulesError = validateBookingRules({ slotInterval, minNoticeMinutes, maxAdvanceDays, dailyStaffCap });
+    if (bookingRulesError) {
+        return res.status(400).json({ message: bookingRulesError });
+    }
+
+    const loyaltyRulesError = validateLoyaltyRules({ loyaltyPointsPerUnit, loyaltyPointsPerVisit, loyaltyPointsExpiryDays, loyaltyPointValue, loyaltyMinRedeemPoints, loyaltyMaxRedeemPercent });
+    if (loyaltyRulesError) {
+        return res.status(400).json({ message: loyaltyRulesError });
+    }
 
     try {
         // Verify ownership
@@ -106,6 +208,26 @@ const updateBusiness = async (req, res) => {
                 latitude: latitude ? parseFloat(latitude) : null,
                 longitude: longitude ? parseFloat(longitude) : null,
                 category,
+                timeZone,
+                cancellationWindowHours: cancellationWindowHours !== undefined ? parseInt(cancellationWindowHours) : undefined,
+                lateCancellationFeePercent: lateCancellationFeePercent !== undefined ? parseInt(lateCancellationFeePercent) : undefined,
+                taxName,
+                taxRate: taxRate !== undefined ? parseFloat(taxRate) : undefined,
+                pricesIncludeTax: pricesIncludeTax !== undefined ? Boolean(pricesIncludeTax) : undefined,
+                taxRegistrationNumber,
+                remindersEnabled: remindersEnabled !== undefined ? Boolean(remindersEnabled) : undefined,
+                reminderHours: reminderHours !== undefined ? [...new Set(reminderHours)].sort((a, b) => b - a) : undefined,
+                slotInterval: slotInterval !== undefined ? parseInt(slotInterval) : undefined,
+                minNoticeMinutes: minNoticeMinutes !== undefined ? parseInt(minNoticeMinutes) : undefined,
+                maxAdvanceDays: maxAdvanceDays !== undefined ? (maxAdvanceDays === null ? null : parseInt(maxAdvanceDays)) : undefined,
+                dailyStaffCap: dailyStaffCap !== undefined ? (dailyStaffCap === null ? null : parseInt(dailyStaffCap)) : undefined,
+                loyaltyEnabled: loyaltyEnabled !== undefined ? Boolean(loyaltyEnabled) : undefined,
+                loyaltyPointsPerUnit: loyaltyPointsPerUnit !== undefined ? parseFloat(loyaltyPointsPerUnit) : undefined,
+                loyaltyPointsPerVisit: loyaltyPointsPerVisit !== undefined ? parseInt(loyaltyPointsPerVisit) : undefined,
+                loyaltyPointsExpiryDays: loyaltyPointsExpiryDays !== undefined ? (loyaltyPointsExpiryDays === null ? null : parseInt(loyaltyPointsExpiryDays)) : undefined,
+                loyaltyPointValue: loyaltyPointValue !== undefined ? parseFloat(loyaltyPointValue) : undefined,
+                loyaltyMinRedeemPoints: loyaltyMinRedeemPoints !== undefined ? parseInt(loyaltyMinRedeemPoints) : undefined,
+                loyaltyMaxRedeemPercent: loyaltyMaxRedeemPercent !== undefined ? parseInt(loyaltyMaxRedeemPercent) : undefined,
             },
         });
 
@@ -149,7 +271,9 @@ const getAllBusinesses = async (req, res) => {
     try {
         const businesses = await prisma.business.findMany({
             include: {
-                services: true,
+                services: {
+                    where: { archivedAt: null }
+                },
                 hours: true,
                 _count: {
                     select: { reviews: true },
@@ -175,6 +299,7 @@ const getBusinessById = async (req, res) => {
             where: { id },
             include: {
                 services: {
+                    where: { archivedAt: null },
                     include: {
                         assignedStaff: {
                             include: {
@@ -195,6 +320,9 @@ const getBusinessById = async (req, res) => {
                 hours: {
                     orderBy: { dayOfWeek: 'asc' }
                 },
+                specialHours: {
+                    orderBy: { date: 'asc' }
+                },
                 reviews: {
                     include: {
                         customer: {
@@ -209,7 +337,7 @@ const getBusinessById = async (req, res) => {
             return res.status(404).json({ message: 'Business not found' });
         }
 
-        res.json(business);
+        res.json({ ...business, specialHours: upcomingSpecialHours(business) });
     } catch (error) {
         console.error('Error in getBusinessById:', error);
         res.status(500).json({ message: 'Server error', error: error.message });
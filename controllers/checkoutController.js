@@ -0,0 +1,216 @@
+const prisma = require('../lib/prisma');
+const checkoutService = require('../services/checkoutService');
+const availabilityService = require('../services/availabilityService');
+const giftCardService = require('../services/giftCardService');
+const { notifyUser } = require('../utils/notify');
+
+const appointmentInclude = {
+    business: true,
+    service: {
+        include: { taxClass: true },
+    },
+    staff: true,
+    customer: {
+        select: { id: true, name: true, email: true },
+    },
+    checkout: {
+        include: { items: true },
+    },
+};
+
+// Helper function to check the user is the business owner or the appointment's staff member
+const canManageAppointment = async (appointment, user) => {
+    if (appointment.business.ownerId === user.id) {
+        return true;
+    }
+
+    if (user.role === 'STAFF') {
+        const staffProfile = await prisma.staff.findUnique({
+            where: { userId: user.id }
+        });
+        return Boolean(staffProfile && appointment.staffId === staffProfile.id);
+    }
+
+    return false;
+};
+
+// @desc    Check out an appointment: record what was sold and how it was paid
+// @route   POST /api/appointments/:id/checkout
+// @access  Private (Owner or assigned Staff)
+const checkoutAppointment = async (req, res) => {
+    const { id } = req.params;
+    const { items, discount, tip, paymentMethod, giftCardCode } = req.body;
+
+    if (!checkoutService.PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({ message: `Payment method must be one of ${checkoutService.PAYMENT_METHODS.join(', ')}` });
+    }
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: appointmentInclude,
+        });
+
+        if (!appointment) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (!(await canManageAppointment(appointment, req.user))) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (appointment.checkout) {
+            return res.status(409).json({ message: 'This appointment has already been checked out' });
+        }
+
+        // An issued invoice is final, and it was built from the booked price
+        const invoice = await prisma.invoice.findUnique({
+            where: { appointmentId: appointment.id },
+        });
+        if (invoice) {
+            return res.status(409).json({ message: `Invoice ${invoice.number} has already been issued for this appointment` });
+        }
+
+        if (!['PENDING', 'CONFIRMED', 'COMPLETED'].includes(appointment.status)) {
+            return res.status(400).json({ message: `Cannot check out an appointment that is ${appointment.status}` });
+        }
+
+        const parsed = await checkoutService.parseCheckoutItems(items, appointment);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        const calculated = checkoutService.calculateTotals(parsed.items, appointment.business, { discount, tip });
+        if (calculated.error) {
+            return res.status(400).json({ message: calculated.error });
+        }
+
+        let giftCard = null;
+        if (giftCardCode) {
+            const found = await giftCardService.findRedeemableCard(prisma, giftCardCode, appointment.businessId);
+            if (!found.giftCard) {
+                return res.status(found.status).json({ message: found.message });
+            }
+            giftCard = found.giftCard;
+        }
+
+        const io = req.app.get('io');
+
+        // Checking out completes the appointment if that was not done yet
+        const { checkout, giftCard: giftCardRedemption, error } = await checkoutService.createCheckout({
+            appointment,
+            items: calculated.items,
+            totals: calculated.totals,
+            paymentMethod,
+            giftCard,
+            actor: req.user,
+            io,
+        });
+
+        if (error) {
+            return res.status(error.status).json({ message: error.message });
+        }
+
+        if (appointment.status !== 'COMPLETED') {
+            await notifyUser(
+                appointment.customerId,
+                'APPOINTMENT_COMPLETED',
+                'Service Completed',
+                `Your appointment for ${appointment.serviceName} has been completed`,
+                { appointmentId: appointment.id },
+                io
+            );
+        }
+
+        res.status(201).json({
+            checkout,
+            giftCard: giftCardRedemption,
+            receipt: checkoutService.buildReceipt(checkout, appointment),
+        });
+    } catch (error) {
+        // Two checkouts raced for the same appointment
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'This appointment has already been checked out' });
+        }
+        console.error('Error in checkoutAppointment:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the receipt for a checked out appointment
+// @route   GET /api/appointments/:id/receipt
+// @access  Private (Owner, Staff, or Customer)
+const getReceipt = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: appointmentInclude,
+        });
+
+        const isCustomer = appointment?.customerId === req.user.id;
+        if (!appointment || (!isCustomer && !(await canManageAppointment(appointment, req.user)))) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (!appointment.checkout) {
+            return res.status(404).json({ message: 'This appointment has not been checked out yet' });
+        }
+
+        res.json(checkoutService.buildReceipt(appointment.checkout, appointment));
+    } catch (error) {
+        console.error('Error in getReceipt:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get revenue taken at checkout over a date range
+// @route   GET /api/businesses/:id/revenue?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private (Owner only)
+const getRevenue = async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!availabilityService.isValidDateKey(from) || !availabilityService.isValidDateKey(to)) {
+        return res.status(400).json({ message: 'From and to dates are required in YYYY-MM-DD format' });
+    }
+
+    if (from > to) {
+        return res.status(400).json({ message: 'Start date must be before end date' });
+    }
+
+    try {
+        const business = await prisma.business.findUnique({
+            where: { id },
+        });
+
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        if (business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const { start } = availabilityService.getDayBounds(from, business.timeZone);
+        const { end } = availabilityService.getDayBounds(to, business.timeZone);
+        const revenue = await checkoutService.getRevenue(id, start, end);
+
+        res.json({
+            from,
+            to,
+            currency: business.currency,
+            ...revenue,
+        });
+    } catch (error) {
+        console.error('Error in getRevenue:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    checkoutAppointment,
+    getReceipt,
+    getRevenue,
+};
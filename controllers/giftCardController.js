@@ -0,0 +1,318 @@
+const prisma = require('../lib/prisma');
+const giftCardService = require('../services/giftCardService');
+const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const checkoutService = require('../services/checkoutService');
+const bookingService = require('../services/bookingService');
+
+const { roundAmount } = ledgerService;
+
+const GIFT_CARD_STATUSES = ['ACTIVE', 'EXPIRED', 'USED'];
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to build the filter for gift cards in a status
+const getStatusFilter = (status, now) => {
+    switch (status) {
+        case 'ACTIVE':
+            return { balance: { gt: 0 }, OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] };
+        case 'EXPIRED':
+            return { expiresAt: { lte: now } };
+        case 'USED':
+            return { balance: { lte: 0 }, OR: [{ expiresAt: null }, { expiresAt: { gt: now } }] };
+        default:
+            return {};
+    }
+};
+
+// Helper function to check the user is the appointment's customer, the
+// business owner or the appointment's staff member
+const canRedeemForAppointment = async (appointment, user) => {
+    if (appointment.customerId === user.id || appointment.business.ownerId === user.id) {
+        return true;
+    }
+
+    if (user.role === 'STAFF') {
+        const staffProfile = await prisma.staff.findUnique({
+            where: { userId: user.id }
+        });
+        return Boolean(staffProfile && appointment.staffId === staffProfile.id);
+    }
+
+    return false;
+};
+
+// @desc    Issue a gift card
+// @route   POST /api/businesses/:businessId/gift-cards
+// @access  Private (Owner only)
+const issueGiftCard = async (req, res) => {
+    const { businessId } = req.params;
+    const { amount, expiresAt, recipientName, recipientEmail, note, paymentMethod } = req.body;
+
+    if (typeof amount !== 'number' || !(amount > 0)) {
+        return res.status(400).json({ message: 'Amount must be more than zero' });
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        return res.status(400).json({ message: 'Expiry must be a date in the future' });
+    }
+
+    if (paymentMethod !== undefined && !checkoutService.PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({ message: `Payment method must be one of ${checkoutService.PAYMENT_METHODS.join(', ')}` });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const giftCard = await giftCardService.issueGiftCard({
+            business: result.business,
+            amount,
+            expiresAt: expiry,
+            recipientName,
+            recipientEmail,
+            note,
+            paymentMethod,
+            actor: req.user,
+        });
+
+        res.status(201).json({ ...giftCard, status: giftCardService.getStatus(giftCard) });
+    } catch (error) {
+        console.error('Error in issueGiftCard:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the gift cards of a business
+// @route   GET /api/businesses/:businessId/gift-cards?status=ACTIVE|EXPIRED|USED
+// @access  Private (Owner only)
+const getGiftCards = async (req, res) => {
+    const { businessId } = req.params;
+    const { status } = req.query;
+
+    if (status !== undefined && !GIFT_CARD_STATUSES.includes(status)) {
+        return res.status(400).json({ message: `Status must be one of ${GIFT_CARD_STATUSES.join(', ')}` });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const now = new Date();
+        const giftCards = await prisma.giftCard.findMany({
+            where: { businessId, ...getStatusFilter(status, now) },
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.json(giftCards.map(giftCard => ({ ...giftCard, status: giftCardService.getStatus(giftCard, now) })));
+    } catch (error) {
+        console.error('Error in getGiftCards:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a gift card with its transaction history
+// @route   GET /api/gift-cards/:id
+// @access  Private (Owner only)
+const getGiftCard = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const giftCard = await prisma.giftCard.findUnique({
+            where: { id },
+            include: {
+                business: {
+                    select: { ownerId: true },
+                },
+                transactions: {
+                    orderBy: { createdAt: 'asc' },
+                    include: {
+                        appointment: {
+                            select: { id: true, date: true, customerId: true },
+                        },
+                    },
+                },
+            },
+        });
+
+        if (!giftCard) {
+            return res.status(404).json({ message: 'Gift card not found' });
+        }
+
+        if (giftCard.business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const { business, ...details } = giftCard;
+        res.json({ ...details, status: giftCardService.getStatus(giftCard) });
+    } catch (error) {
+        console.error('Error in getGiftCard:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Look up the balance of a gift card by its code
+// @route   GET /api/gift-cards/balance?code=XXXX
+// @access  Private
+const getGiftCardBalance = async (req, res) => {
+    const code = giftCardService.normalizeCode(req.query.code);
+
+    if (!code) {
+        return res.status(400).json({ message: 'Gift card code is required' });
+    }
+
+    try {
+        const giftCard = await prisma.giftCard.findUnique({
+            where: { code },
+            include: {
+                business: {
+                    select: { id: true, name: true },
+                },
+            },
+        });
+
+        if (!giftCard) {
+            return res.status(404).json({ message: 'Gift card not found' });
+        }
+
+        res.json({
+            code: giftCard.code,
+            business: giftCard.business,
+            balance: giftCard.balance,
+            currency: giftCard.currency,
+            expiresAt: giftCard.expiresAt,
+            status: giftCardService.getStatus(giftCard),
+        });
+    } catch (error) {
+        console.error('Error in getGiftCardBalance:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Pay for an appointment (in part) with a gift card
+// @route   POST /api/appointments/:id/gift-card
+// @access  Private (Customer, Owner or assigned Staff)
+const redeemForAppointment = async (req, res) => {
+    const { id } = req.params;
+    const { code, amount } = req.body;
+
+    if (!code) {
+        return res.status(400).json({ message: 'Gift card code is required' });
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+        return res.status(400).json({ message: 'Amount must be more than zero' });
+    }
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id },
+            include: {
+                business: true,
+                service: true,
+                checkout: true,
+            },
+        });
+
+        if (!appointment || !(await canRedeemForAppointment(appointment, req.user))) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (!['PENDING', 'CONFIRMED', 'COMPLETED'].includes(appointment.status)) {
+            return res.status(400).json({ message: `Cannot pay for an appointment that is ${appointment.status}` });
+        }
+
+        // After checkout, gift cards are taken as part of the checkout itself
+        if (appointment.checkout) {
+            return res.status(409).json({ message: 'This appointment has already been checked out' });
+        }
+
+        if (await paymentService.isAwaitingPayment(appointment)) {
+            return res.status(409).json({ message: 'This appointment is awaiting payment' });
+        }
+
+        const found = await giftCardService.findRedeemableCard(prisma, code, appointment.businessId);
+        if (!found.giftCard) {
+            return res.status(found.status).json({ message: found.message });
+        }
+        const { giftCard } = found;
+
+        if (amount !== undefined && amount > giftCard.balance) {
+            return res.status(400).json({ message: `The gift card balance is ${giftCard.balance} ${giftCard.currency}` });
+        }
+
+        // Serializable, so two redemptions cannot both pay the same outstanding amount
+        let result;
+        try {
+            result = await prisma.$transaction(async (tx) => {
+                // What is left of the price after anything already paid
+                const balance = await ledgerService.getBalance(appointment.id, tx);
+                const outstanding = roundAmount(paymentService.getAppointmentPrice(appointment) + balance);
+                if (outstanding <= 0) {
+                    return { error: { status: 400, message: 'There is nothing left to pay for this appointment' } };
+                }
+                if (amount !== undefined && amount > outstanding) {
+                    return { error: { status: 400, message: `Only ${outstanding} ${appointment.business.currency} is left to pay` } };
+                }
+
+                const redemption = await giftCardService.redeemGiftCard(tx, {
+                    giftCard,
+                    appointment,
+                    amount: roundAmount(amount ?? Math.min(giftCard.balance, outstanding)),
+                    actor: req.user,
+                });
+                if (!redemption) {
+                    return { error: { status: 409, message: 'The gift card balance has changed, please try again' } };
+                }
+
+                return { redemption };
+            }, { isolationLevel: 'Serializable' });
+        } catch (error) {
+            if (!bookingService.isWriteConflict(error)) {
+                throw error;
+            }
+            result = { error: { status: 409, message: 'This appointment was paid for at the same time, please try again' } };
+        }
+
+        if (result.error) {
+            return res.status(result.error.status).json({ message: result.error.message });
+        }
+        const { redemption } = result;
+
+        res.status(201).json({
+            giftCard: redemption,
+            // Gift cards are only redeemed here before checkout
+            balance: ledgerService.getAmountOwed(appointment, await ledgerService.getBalance(appointment.id), false),
+        });
+    } catch (error) {
+        console.error('Error in redeemForAppointment:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    issueGiftCard,
+    getGiftCards,
+    getGiftCard,
+    getGiftCardBalance,
+    redeemForAppointment,
+};
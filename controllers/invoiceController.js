@@ -0,0 +1,160 @@
+const prisma = require('../lib/prisma');
+const invoiceService = require('../services/invoiceService');
+
+// Helper function to load an appointment with what its invoice is built from
+// and check the user is its customer, the business owner or its staff member
+const getInvoiceableAppointment = async (id, user) => {
+    const appointment = await prisma.appointment.findUnique({
+        where: { id },
+        include: {
+            business: true,
+            service: {
+                include: { taxClass: true },
+            },
+            customer: {
+                select: { id: true, name: true, email: true, phone: true },
+            },
+            checkout: {
+                include: { items: true },
+            },
+            invoice: true,
+        },
+    });
+
+    if (!appointment) {
+        return { status: 404, message: 'Appointment not found' };
+    }
+
+    const isOwner = appointment.business.ownerId === user.id;
+    const isCustomer = appointment.customerId === user.id;
+
+    let isStaff = false;
+    if (user.role === 'STAFF') {
+        const staffProfile = await prisma.staff.findUnique({
+            where: { userId: user.id }
+        });
+        isStaff = staffProfile && appointment.staffId === staffProfile.id;
+    }
+
+    if (!isOwner && !isCustomer && !isStaff) {
+        return { status: 404, message: 'Appointment not found' };
+    }
+
+    return { appointment };
+};
+
+// @desc    Issue the invoice for a completed appointment and email it to the customer
+// @route   POST /api/appointments/:id/invoice
+// @access  Private (Owner, Staff, or Customer)
+const issueAppointmentInvoice = async (req, res) => {
+    try {
+        const result = await getInvoiceableAppointment(req.params.id, req.user);
+        if (!result.appointment) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const { appointment } = result;
+        if (appointment.status !== 'COMPLETED') {
+            return res.status(400).json({ message: 'Invoices can only be issued for completed appointments' });
+        }
+
+        const { invoice, created } = await invoiceService.issueInvoice(appointment);
+
+        // Only email a newly issued invoice; use the email route to send it again
+        if (created && appointment.customer.email) {
+            invoiceService.emailInvoice(invoice, appointment.customer.email, appointment.business.timeZone)
+                .catch(emailError => {
+                    console.error('❌ Failed to send invoice:', emailError.message);
+                });
+        }
+
+        res.status(created ? 201 : 200).json(invoice);
+    } catch (error) {
+        console.error('Error in issueAppointmentInvoice:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get an appointment's invoice
+// @route   GET /api/appointments/:id/invoice
+// @access  Private (Owner, Staff, or Customer)
+const getAppointmentInvoice = async (req, res) => {
+    try {
+        const result = await getInvoiceableAppointment(req.params.id, req.user);
+        if (!result.appointment) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        if (!result.appointment.invoice) {
+            return res.status(404).json({ message: 'No invoice has been issued for this appointment' });
+        }
+
+        res.json(result.appointment.invoice);
+    } catch (error) {
+        console.error('Error in getAppointmentInvoice:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Download an appointment's invoice as a PDF
+// @route   GET /api/appointments/:id/invoice/pdf
+// @access  Private (Owner, Staff, or Customer)
+const downloadInvoicePdf = async (req, res) => {
+    try {
+        const result = await getInvoiceableAppointment(req.params.id, req.user);
+        if (!result.appointment) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const { invoice, business } = result.appointment;
+        if (!invoice) {
+            return res.status(404).json({ message: 'No invoice has been issued for this appointment' });
+        }
+
+        const pdf = await invoiceService.renderInvoicePdf(invoice, business.timeZone);
+
+        res.set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `attachment; filename="${invoice.number}.pdf"`,
+        });
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error in downloadInvoicePdf:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Email an appointment's invoice to the customer
+// @route   POST /api/appointments/:id/invoice/email
+// @access  Private (Owner, Staff, or Customer)
+const emailAppointmentInvoice = async (req, res) => {
+    try {
+        const result = await getInvoiceableAppointment(req.params.id, req.user);
+        if (!result.appointment) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const { invoice, business, customer } = result.appointment;
+        if (!invoice) {
+            return res.status(404).json({ message: 'No invoice has been issued for this appointment' });
+        }
+
+        if (!customer.email) {
+            return res.status(400).json({ message: 'The customer has no email address' });
+        }
+
+        await invoiceService.emailInvoice(invoice, customer.email, business.timeZone);
+
+        res.json({ message: `Invoice ${invoice.number} sent to ${customer.email}` });
+    } catch (error) {
+        console.error('Error in emailAppointmentInvoice:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    issueAppointmentInvoice,
+    getAppointmentInvoice,
+    downloadInvoicePdf,
+    emailAppointmentInvoice,
+};
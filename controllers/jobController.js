@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { runDueJobs } = require('../jobs');
+
+// Helper function to check the request carries the cron secret as a bearer token
+const hasCronSecret = (req) => {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+        return false;
+    }
+
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || '');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+// @desc    Run the background jobs that are due. For deployments without a
+//          long-lived server (e.g. Vercel), where the in-process scheduler
+//          does not run; call it from a cron job with "Authorization: Bearer <CRON_SECRET>".
+// @route   GET /api/jobs/run
+// @access  Private (Cron secret)
+const runJobs = async (req, res) => {
+    if (!hasCronSecret(req)) {
+        return res.status(401).json({ message: 'Not authorized' });
+    }
+
+    try {
+        await runDueJobs({ io: req.app.get('io') });
+        res.json({ message: 'Due jobs have run' });
+    } catch (error) {
+        console.error('Error in runJobs:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    runJobs,
+};
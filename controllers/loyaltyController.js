@@ -0,0 +1,204 @@
+const prisma = require('../lib/prisma');
+const loyaltyService = require('../services/loyaltyService');
+const { roundAmount } = require('../services/ledgerService');
+
+const transactionInclude = {
+    appointment: {
+        select: { id: true, date: true },
+    },
+    actor: {
+        select: { id: true, name: true, role: true },
+    },
+};
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to build a customer's points summary at a business
+const getSummary = async (business, customerId) => {
+    const points = await loyaltyService.getBalance(customerId, business.id);
+    const transactions = await prisma.loyaltyTransaction.findMany({
+        where: { businessId: business.id, customerId },
+        include: transactionInclude,
+        orderBy: { createdAt: 'desc' },
+    });
+
+    return {
+        points,
+        value: roundAmount(points * business.loyaltyPointValue),
+        currency: business.currency,
+        transactions,
+    };
+};
+
+// @desc    Get the customer's loyalty points at every business
+// @route   GET /api/loyalty/balances
+// @access  Private (Customer)
+const getMyBalances = async (req, res) => {
+    try {
+        res.json(await loyaltyService.getBalances(req.user.id));
+    } catch (error) {
+        console.error('Error in getMyBalances:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the customer's loyalty points and history at a business
+// @route   GET /api/businesses/:businessId/loyalty/my
+// @access  Private (Customer)
+const getMyLoyalty = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
+        });
+
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        res.json(await getSummary(business, req.user.id));
+    } catch (error) {
+        console.error('Error in getMyLoyalty:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the loyalty points of each customer of a business
+// @route   GET /api/businesses/:businessId/loyalty/customers
+// @access  Private (Owner only)
+const getCustomerBalances = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const now = new Date();
+        const groups = await prisma.loyaltyTransaction.groupBy({
+            by: ['customerId'],
+            where: {
+                businessId,
+                remainingPoints: { gt: 0 },
+                OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+            },
+            _sum: { remainingPoints: true },
+        });
+
+        const customers = await prisma.user.findMany({
+            where: { id: { in: groups.map(group => group.customerId) } },
+            select: { id: true, name: true, email: true },
+        });
+        const customerById = new Map(customers.map(customer => [customer.id, customer]));
+
+        res.json(groups
+            .map(group => ({
+                customer: customerById.get(group.customerId),
+                points: group._sum.remainingPoints,
+            }))
+            .sort((a, b) => b.points - a.points));
+    } catch (error) {
+        console.error('Error in getCustomerBalances:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a customer's loyalty points and history, including manual adjustments
+// @route   GET /api/businesses/:businessId/loyalty/customers/:customerId
+// @access  Private (Owner only)
+const getCustomerLoyalty = async (req, res) => {
+    const { businessId, customerId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const customer = await prisma.user.findUnique({
+            where: { id: customerId },
+            select: { id: true, name: true, email: true },
+        });
+
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        res.json({ customer, ...(await getSummary(result.business, customerId)) });
+    } catch (error) {
+        console.error('Error in getCustomerLoyalty:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add or remove a customer's loyalty points by hand. The reason is kept with the change.
+// @route   POST /api/businesses/:businessId/loyalty/customers/:customerId/adjust
+// @access  Private (Owner only)
+const adjustPoints = async (req, res) => {
+    const { businessId, customerId } = req.params;
+    const { points, reason } = req.body;
+
+    if (!Number.isInteger(points) || points === 0) {
+        return res.status(400).json({ message: 'Points must be a whole number other than zero' });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ message: 'A reason is required' });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const customer = await prisma.user.findUnique({
+            where: { id: customerId },
+        });
+
+        if (!customer || customer.role !== 'CUSTOMER') {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const adjustment = { customerId, type: 'ADJUST', actor: req.user, note: reason.trim() };
+        const transaction = await prisma.$transaction((tx) => points > 0
+            ? loyaltyService.addPoints(tx, { ...adjustment, business: result.business, points })
+            : loyaltyService.takePoints(tx, { ...adjustment, businessId, points: -points }));
+
+        if (!transaction) {
+            return res.status(400).json({ message: 'The customer does not have that many points' });
+        }
+
+        res.status(201).json({
+            transaction,
+            points: await loyaltyService.getBalance(customerId, businessId),
+        });
+    } catch (error) {
+        console.error('Error in adjustPoints:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getMyBalances,
+    getMyLoyalty,
+    getCustomerBalances,
+    getCustomerLoyalty,
+    adjustPoints,
+};
@@ -0,0 +1,338 @@
+const prisma = require('../lib/prisma');
+const packageService = require('../services/packageService');
+const checkoutService = require('../services/checkoutService');
+
+const packageInclude = {
+    services: {
+        where: { service: { archivedAt: null } },
+        include: {
+            service: {
+                select: { id: true, name: true },
+            },
+        },
+    },
+};
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to validate package fields.
+// `current` holds the saved package when updating.
+const parsePackageFields = (body, current = {}) => {
+    const data = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Name cannot be empty' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.description !== undefined) {
+        data.description = body.description || null;
+    }
+
+    if (body.type !== undefined) {
+        if (!packageService.PACKAGE_TYPES.includes(body.type)) {
+            return { error: `Type must be one of ${packageService.PACKAGE_TYPES.join(', ')}` };
+        }
+        data.type = body.type;
+    }
+
+    if (body.price !== undefined) {
+        if (typeof body.price !== 'number' || body.price < 0) {
+            return { error: 'Price cannot be negative' };
+        }
+        data.price = body.price;
+    }
+
+    for (const field of ['sessionCount', 'validityDays']) {
+        if (body[field] !== undefined) {
+            if (body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 1)) {
+                return { error: `${field} must be a whole number of at least 1` };
+            }
+            data[field] = body[field];
+        }
+    }
+
+    const type = data.type ?? current.type;
+    if (!type || (data.price ?? current.price) === undefined || !(data.validityDays ?? current.validityDays)) {
+        return { error: 'Type, price and validityDays are required' };
+    }
+
+    // A membership is unlimited, a package has a set number of sessions
+    if (type === 'MEMBERSHIP') {
+        data.sessionCount = null;
+    } else if (!(data.sessionCount !== undefined ? data.sessionCount : current.sessionCount)) {
+        return { error: 'sessionCount is required for a package' };
+    }
+
+    if (body.isActive !== undefined) {
+        data.isActive = Boolean(body.isActive);
+    }
+
+    return { data };
+};
+
+// Helper function to check that services belong to a business
+const validateServiceIds = async (serviceIds, businessId) => {
+    if (!Array.isArray(serviceIds) || serviceIds.length === 0) {
+        return 'serviceIds must list at least one service';
+    }
+
+    const count = await prisma.service.count({
+        where: { id: { in: serviceIds }, businessId, archivedAt: null },
+    });
+    return count === new Set(serviceIds).size ? null : 'One or more services are invalid for this business';
+};
+
+// @desc    Get the packages and memberships a business sells
+// @route   GET /api/businesses/:businessId/packages
+// @access  Public
+const getPackages = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const packages = await prisma.servicePackage.findMany({
+            where: { businessId, isActive: true },
+            include: packageInclude,
+            orderBy: { price: 'asc' },
+        });
+
+        res.json(packages);
+    } catch (error) {
+        console.error('Error in getPackages:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create a package or membership
+// @route   POST /api/businesses/:businessId/packages
+// @access  Private (Owner only)
+const createPackage = async (req, res) => {
+    const { businessId } = req.params;
+    const { name, serviceIds } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const parsed = parsePackageFields(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const serviceError = await validateServiceIds(serviceIds, businessId);
+        if (serviceError) {
+            return res.status(400).json({ message: serviceError });
+        }
+
+        const servicePackage = await prisma.servicePackage.create({
+            data: {
+                ...parsed.data,
+                businessId,
+                services: {
+                    create: [...new Set(serviceIds)].map(serviceId => ({ serviceId }))
+                },
+            },
+            include: packageInclude,
+        });
+
+        res.status(201).json(servicePackage);
+    } catch (error) {
+        console.error('Error in createPackage:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update a package or membership. Packages already sold keep their sessions and expiry.
+// @route   PUT /api/packages/:id
+// @access  Private (Owner only)
+const updatePackage = async (req, res) => {
+    const { id } = req.params;
+    const { serviceIds } = req.body;
+
+    try {
+        const current = await prisma.servicePackage.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!current) {
+            return res.status(404).json({ message: 'Package not found' });
+        }
+
+        if (current.business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const parsed = parsePackageFields(req.body, current);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        if (serviceIds !== undefined) {
+            const serviceError = await validateServiceIds(serviceIds, current.businessId);
+            if (serviceError) {
+                return res.status(400).json({ message: serviceError });
+            }
+        }
+
+        const servicePackage = await prisma.$transaction(async (tx) => {
+            if (serviceIds !== undefined) {
+                await tx.packageService.deleteMany({
+                    where: { packageId: id },
+                });
+                await tx.packageService.createMany({
+                    data: [...new Set(serviceIds)].map(serviceId => ({ packageId: id, serviceId })),
+                });
+            }
+
+            return tx.servicePackage.update({
+                where: { id },
+                data: parsed.data,
+                include: packageInclude,
+            });
+        });
+
+        res.json(servicePackage);
+    } catch (error) {
+        console.error('Error in updatePackage:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Sell a package or membership to a customer
+// @route   POST /api/packages/:id/sell
+// @access  Private (Owner only)
+const sellPackage = async (req, res) => {
+    const { id } = req.params;
+    const { customerEmail, paymentMethod } = req.body;
+
+    if (!customerEmail) {
+        return res.status(400).json({ message: 'Customer email is required' });
+    }
+
+    if (paymentMethod !== undefined && !checkoutService.PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json({ message: `Payment method must be one of ${checkoutService.PAYMENT_METHODS.join(', ')}` });
+    }
+
+    try {
+        const servicePackage = await prisma.servicePackage.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!servicePackage) {
+            return res.status(404).json({ message: 'Package not found' });
+        }
+
+        if (servicePackage.business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        if (!servicePackage.isActive) {
+            return res.status(400).json({ message: 'This package is no longer sold' });
+        }
+
+        const customer = await prisma.user.findUnique({
+            where: { email: customerEmail },
+        });
+
+        if (!customer || customer.role !== 'CUSTOMER') {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const customerPackage = await packageService.sellPackage({
+            servicePackage,
+            business: servicePackage.business,
+            customerId: customer.id,
+            paymentMethod,
+        });
+
+        res.status(201).json({
+            ...customerPackage,
+            remainingSessions: packageService.getRemainingSessions(customerPackage),
+        });
+    } catch (error) {
+        console.error('Error in sellPackage:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the packages and memberships sold by a business, with sessions left
+// @route   GET /api/businesses/:businessId/customer-packages
+// @access  Private (Owner only)
+const getSoldPackages = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const now = new Date();
+        const customerPackages = await prisma.customerPackage.findMany({
+            where: { businessId },
+            include: {
+                package: {
+                    select: { id: true, name: true, type: true },
+                },
+                customer: {
+                    select: { id: true, name: true, email: true },
+                },
+            },
+            orderBy: { purchasedAt: 'desc' },
+        });
+
+        res.json(customerPackages.map(customerPackage => ({
+            ...customerPackage,
+            remainingSessions: packageService.getRemainingSessions(customerPackage),
+            status: packageService.getStatus(customerPackage, now),
+        })));
+    } catch (error) {
+        console.error('Error in getSoldPackages:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the customer's packages and memberships, with sessions left
+// @route   GET /api/packages/my
+// @access  Private (Customer)
+const getMyPackages = async (req, res) => {
+    try {
+        res.json(await packageService.getCustomerPackages(req.user.id));
+    } catch (error) {
+        console.error('Error in getMyPackages:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getPackages,
+    createPackage,
+    updatePackage,
+    sellPackage,
+    getSoldPackages,
+    getMyPackages,
+};
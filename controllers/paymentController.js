@@ -0,0 +1,131 @@
+const prisma = require('../lib/prisma');
+const paymentService = require('../services/paymentService');
+const ledgerService = require('../services/ledgerService');
+const { getProvider } = require('../services/paymentProviders');
+
+// Helper function to load an appointment with what is needed to pay for it
+const getPayableAppointment = (id) => {
+    return prisma.appointment.findUnique({
+        where: { id },
+        include: {
+            business: true,
+            service: true,
+            booking: {
+                include: {
+                    appointments: {
+                        include: { service: true },
+                        orderBy: { bookingPosition: 'asc' },
+                    },
+                },
+            },
+        },
+    });
+};
+
+// @desc    Receive payment events from a payment provider
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (verified by the provider's signature)
+const handleWebhook = async (req, res) => {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+        return res.status(404).json({ message: 'Unknown payment provider' });
+    }
+
+    try {
+        const event = provider.parseWebhook(req.rawBody, req.headers);
+        if (!event) {
+            return res.status(400).json({ message: 'Invalid webhook signature' });
+        }
+
+        const payment = await paymentService.handlePaymentEvent(event, req.app.get('io'));
+        if (!payment) {
+            console.warn('Webhook for unknown payment:', event.providerPaymentId);
+        }
+
+        // Acknowledge so the provider does not keep retrying
+        res.json({ received: true });
+    } catch (error) {
+        console.error('Error in handleWebhook:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Start (or resume) the online payment for an appointment
+// @route   POST /api/payments/appointments/:appointmentId
+// @access  Private (Customer)
+const payForAppointment = async (req, res) => {
+    const { appointmentId } = req.params;
+
+    try {
+        const appointment = await getPayableAppointment(appointmentId);
+
+        if (!appointment || appointment.customerId !== req.user.id) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        if (appointment.status !== 'PENDING') {
+            return res.status(400).json({ message: 'Only pending appointments can be paid for' });
+        }
+
+        if (!(await paymentService.isAwaitingPayment(appointment))) {
+            return res.status(400).json({ message: 'There is nothing to pay online for this appointment' });
+        }
+
+        const appointments = appointment.booking
+            ? appointment.booking.appointments.filter(apt => apt.status === 'PENDING')
+            : [appointment];
+
+        const payment = await paymentService.startPayment({
+            appointments,
+            business: appointment.business,
+        });
+
+        res.status(201).json(payment);
+    } catch (error) {
+        console.error('Error in payForAppointment:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get the payments, ledger and balance for an appointment
+// @route   GET /api/payments/appointments/:appointmentId
+// @access  Private (Customer or Owner)
+const getAppointmentPayments = async (req, res) => {
+    const { appointmentId } = req.params;
+
+    try {
+        const appointment = await prisma.appointment.findUnique({
+            where: { id: appointmentId },
+            include: { business: true },
+        });
+
+        const isOwner = appointment?.business.ownerId === req.user.id;
+        const isCustomer = appointment?.customerId === req.user.id;
+        if (!appointment || (!isOwner && !isCustomer)) {
+            return res.status(404).json({ message: 'Appointment not found' });
+        }
+
+        const [payments, ledger, balance] = await Promise.all([
+            paymentService.getAppointmentPayments(appointment),
+            ledgerService.getLedger(appointment.id),
+            ledgerService.getBalance(appointment.id),
+        ]);
+
+        res.json({
+            amountDue: appointment.amountDue,
+            awaitingPayment: appointment.status === 'PENDING' && await paymentService.isAwaitingPayment(appointment),
+            balance: ledgerService.getAmountOwed(appointment, balance, ledger.some(entry => entry.type === 'SALE')),
+            payments,
+            ledger,
+        });
+    } catch (error) {
+        console.error('Error in getAppointmentPayments:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    handleWebhook,
+    payForAppointment,
+    getAppointmentPayments,
+};
@@ -0,0 +1,381 @@
+const prisma = require('../lib/prisma');
+const promotionService = require('../services/promotionService');
+const paymentService = require('../services/paymentService');
+const availabilityService = require('../services/availabilityService');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+const LIMIT_FIELDS = ['maxUses', 'maxUsesPerCustomer'];
+
+const promotionInclude = {
+    services: {
+        include: {
+            service: {
+                select: { id: true, name: true },
+            },
+        },
+    },
+    _count: {
+        select: {
+            appointments: { where: { status: { not: 'CANCELLED' } } },
+        },
+    },
+};
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to parse an optional date field; null clears it
+const parseDate = (value) => {
+    if (value === null) {
+        return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Helper function to validate promotion fields.
+// `current` holds the saved promotion when updating.
+const parsePromotionFields = (body, current = {}) => {
+    const data = {};
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Name cannot be empty' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.code !== undefined) {
+        const code = body.code === null ? null : promotionService.normalizeCode(body.code);
+        if (code !== null && !CODE_PATTERN.test(code)) {
+            return { error: 'Code must be 3 to 32 letters, digits, dashes or underscores' };
+        }
+        data.code = code;
+    }
+
+    if (body.discountType !== undefined) {
+        if (!promotionService.DISCOUNT_TYPES.includes(body.discountType)) {
+            return { error: `discountType must be one of ${promotionService.DISCOUNT_TYPES.join(', ')}` };
+        }
+        data.discountType = body.discountType;
+    }
+
+    if (body.discountValue !== undefined) {
+        if (typeof body.discountValue !== 'number' || !(body.discountValue > 0)) {
+            return { error: 'discountValue must be more than zero' };
+        }
+        data.discountValue = body.discountValue;
+    }
+
+    const discountType = data.discountType ?? current.discountType;
+    const discountValue = data.discountValue ?? current.discountValue;
+    if (!discountType || !discountValue) {
+        return { error: 'discountType and discountValue are required' };
+    }
+    if (discountType === 'PERCENTAGE' && discountValue > 100) {
+        return { error: 'A percentage discount cannot be more than 100' };
+    }
+
+    for (const field of ['startsAt', 'endsAt']) {
+        if (body[field] !== undefined) {
+            data[field] = parseDate(body[field]);
+            if (data[field] === undefined) {
+                return { error: `${field} must be a valid date` };
+            }
+        }
+    }
+    const startsAt = data.startsAt !== undefined ? data.startsAt : current.startsAt;
+    const endsAt = data.endsAt !== undefined ? data.endsAt : current.endsAt;
+    if (startsAt && endsAt && startsAt >= endsAt) {
+        return { error: 'startsAt must be before endsAt' };
+    }
+
+    if (body.daysOfWeek !== undefined) {
+        if (!Array.isArray(body.daysOfWeek) || body.daysOfWeek.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            return { error: 'daysOfWeek must be a list of days from 0 (Sunday) to 6 (Saturday)' };
+        }
+        data.daysOfWeek = [...new Set(body.daysOfWeek)].sort();
+    }
+
+    for (const field of ['startTime', 'endTime']) {
+        if (body[field] !== undefined) {
+            if (body[field] !== null && !availabilityService.isValidTime(body[field])) {
+                return { error: `${field} must be in HH:mm format` };
+            }
+            data[field] = body[field];
+        }
+    }
+    const startTime = data.startTime !== undefined ? data.startTime : current.startTime;
+    const endTime = data.endTime !== undefined ? data.endTime : current.endTime;
+    if (Boolean(startTime) !== Boolean(endTime)) {
+        return { error: 'A happy hour needs both startTime and endTime' };
+    }
+    if (startTime && startTime >= endTime) {
+        return { error: 'startTime must be before endTime' };
+    }
+
+    for (const field of LIMIT_FIELDS) {
+        if (body[field] !== undefined) {
+            if (body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 1)) {
+                return { error: `${field} must be a whole number of at least 1` };
+            }
+            data[field] = body[field];
+        }
+    }
+
+    for (const field of ['firstVisitOnly', 'isActive']) {
+        if (body[field] !== undefined) {
+            data[field] = Boolean(body[field]);
+        }
+    }
+
+    return { data };
+};
+
+// Helper function to check that services belong to a business
+const validateServiceIds = async (serviceIds, businessId) => {
+    if (!Array.isArray(serviceIds)) {
+        return 'serviceIds must be a list';
+    }
+
+    const count = await prisma.service.count({
+        where: { id: { in: serviceIds }, businessId, archivedAt: null },
+    });
+    return count === new Set(serviceIds).size ? null : 'One or more services are invalid for this business';
+};
+
+// @desc    Get the promotions of a business with how often each was used
+// @route   GET /api/businesses/:businessId/promotions
+// @access  Private (Owner only)
+const getPromotions = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const promotions = await prisma.promotion.findMany({
+            where: { businessId },
+            include: promotionInclude,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.json(promotions);
+    } catch (error) {
+        console.error('Error in getPromotions:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create a promo code or campaign
+// @route   POST /api/businesses/:businessId/promotions
+// @access  Private (Owner only)
+const createPromotion = async (req, res) => {
+    const { businessId } = req.params;
+    const { name, serviceIds } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ message: 'Name is required' });
+    }
+
+    const parsed = parsePromotionFields(req.body);
+    if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        if (serviceIds !== undefined) {
+            const serviceError = await validateServiceIds(serviceIds, businessId);
+            if (serviceError) {
+                return res.status(400).json({ message: serviceError });
+            }
+        }
+
+        const promotion = await prisma.promotion.create({
+            data: {
+                ...parsed.data,
+                businessId,
+                services: serviceIds && serviceIds.length > 0 ? {
+                    create: [...new Set(serviceIds)].map(serviceId => ({ serviceId }))
+                } : undefined,
+            },
+            include: promotionInclude,
+        });
+
+        res.status(201).json(promotion);
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'A promotion with this code already exists' });
+        }
+        console.error('Error in createPromotion:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update a promotion
+// @route   PUT /api/promotions/:id
+// @access  Private (Owner only)
+const updatePromotion = async (req, res) => {
+    const { id } = req.params;
+    const { serviceIds } = req.body;
+
+    try {
+        const current = await prisma.promotion.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!current) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        if (current.business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const parsed = parsePromotionFields(req.body, current);
+        if (parsed.error) {
+            return res.status(400).json({ message: parsed.error });
+        }
+
+        if (serviceIds !== undefined) {
+            const serviceError = await validateServiceIds(serviceIds, current.businessId);
+            if (serviceError) {
+                return res.status(400).json({ message: serviceError });
+            }
+        }
+
+        const promotion = await prisma.$transaction(async (tx) => {
+            // If serviceIds is provided (even if empty array), replace the services
+            if (serviceIds !== undefined) {
+                await tx.promotionService.deleteMany({
+                    where: { promotionId: id },
+                });
+                await tx.promotionService.createMany({
+                    data: [...new Set(serviceIds)].map(serviceId => ({ promotionId: id, serviceId })),
+                });
+            }
+
+            return tx.promotion.update({
+                where: { id },
+                data: parsed.data,
+                include: promotionInclude,
+            });
+        });
+
+        res.json(promotion);
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'A promotion with this code already exists' });
+        }
+        console.error('Error in updatePromotion:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Delete a promotion. Appointments booked with it keep their price.
+// @route   DELETE /api/promotions/:id
+// @access  Private (Owner only)
+const deletePromotion = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const promotion = await prisma.promotion.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!promotion) {
+            return res.status(404).json({ message: 'Promotion not found' });
+        }
+
+        if (promotion.business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        await prisma.promotion.delete({
+            where: { id },
+        });
+
+        res.json({ message: 'Promotion deleted successfully' });
+    } catch (error) {
+        console.error('Error in deletePromotion:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Preview the price of booking a service, with a promo code or the best campaign
+// @route   POST /api/businesses/:businessId/promotions/check
+// @access  Private
+const checkPromotion = async (req, res) => {
+    const { businessId } = req.params;
+    const { serviceId, date, code } = req.body;
+
+    const start = new Date(date);
+    if (!serviceId || isNaN(start.getTime())) {
+        return res.status(400).json({ message: 'Service and a valid date are required' });
+    }
+
+    try {
+        const [business, service] = await Promise.all([
+            prisma.business.findUnique({ where: { id: businessId } }),
+            prisma.service.findUnique({ where: { id: serviceId } }),
+        ]);
+
+        if (!business || !service || service.archivedAt || service.businessId !== businessId) {
+            return res.status(404).json({ message: 'Service not found' });
+        }
+
+        const pricing = await promotionService.applyPromotion(prisma, {
+            business,
+            service,
+            customerId: req.user.id,
+            start,
+            code,
+        });
+        if (pricing.error) {
+            return res.status(pricing.error.status).json({ message: pricing.error.message });
+        }
+
+        res.json({
+            servicePrice: paymentService.getServicePrice(service),
+            discount: pricing.discount,
+            price: pricing.price,
+            currency: business.currency,
+            promotion: pricing.promotion
+                ? { id: pricing.promotion.id, name: pricing.promotion.name, code: pricing.promotion.code }
+                : null,
+        });
+    } catch (error) {
+        console.error('Error in checkPromotion:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    checkPromotion,
+};
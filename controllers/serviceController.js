@@ -1,16 +1,100 @@
 const prisma = require('../lib/prisma');
 
+const TIMING_FIELDS = ['bufferBefore', 'bufferAfter', 'processingStart', 'processingDuration'];
+
+// Helper function to validate buffer and processing time (minutes).
+// `current` holds the saved service when updating.
+const parseTimingFields = (body, current = {}) => {
+    const data = {};
+    for (const field of TIMING_FIELDS) {
+        if (body[field] === undefined) {
+            continue;
+        }
+        const value = body[field] === null ? 0 : parseInt(body[field]);
+        if (!Number.isInteger(value) || value < 0) {
+            return { error: `${field} must be zero or more minutes` };
+        }
+        data[field] = value;
+    }
+
+    const duration = body.duration ? parseInt(body.duration) : current.duration;
+    const processingStart = data.processingStart ?? current.processingStart ?? 0;
+    const processingDuration = data.processingDuration ?? current.processingDuration ?? 0;
+
+    // The staff member has to start and finish the service themselves
+    if (processingDuration > 0 && (processingStart <= 0 || processingStart + processingDuration >= duration)) {
+        return { error: 'Processing time must start after the service begins and end before it finishes' };
+    }
+
+    return { data };
+};
+
+const PAYMENT_REQUIREMENTS = ['NONE', 'DEPOSIT', 'FULL'];
+
+// Helper function to validate online payment settings.
+// `current` holds the saved service when updating.
+const parsePaymentFields = (body, current = {}) => {
+    const data = {};
+
+    if (body.paymentRequirement !== undefined) {
+        if (!PAYMENT_REQUIREMENTS.includes(body.paymentRequirement)) {
+            return { error: `paymentRequirement must be one of ${PAYMENT_REQUIREMENTS.join(', ')}` };
+        }
+        data.paymentRequirement = body.paymentRequirement;
+    }
+
+    if (body.depositPercent !== undefined) {
+        const value = body.depositPercent === null ? null : parseInt(body.depositPercent);
+        if (value !== null && (!Number.isInteger(value) || value < 1 || value > 100)) {
+            return { error: 'depositPercent must be between 1 and 100' };
+        }
+        data.depositPercent = value;
+    }
+
+    const requirement = data.paymentRequirement ?? current.paymentRequirement ?? 'NONE';
+    const depositPercent = data.depositPercent !== undefined ? data.depositPercent : current.depositPercent;
+    if (requirement === 'DEPOSIT' && !depositPercent) {
+        return { error: 'depositPercent is required when a deposit is taken' };
+    }
+
+    return { data };
+};
+
+// Helper function to check a tax class override belongs to the business.
+// null clears the override; returns an error message when invalid.
+const validateTaxClass = async (taxClassId, businessId) => {
+    if (!taxClassId) {
+        return null;
+    }
+
+    const taxClass = await prisma.taxClass.findFirst({
+        where: { id: taxClassId, businessId },
+    });
+
+    return taxClass ? null : 'Tax class is invalid for this business';
+};
+
 // @desc    Create new service
 // @route   POST /api/businesses/:businessId/services
 // @access  Private (Owner only)
 const createService = async (req, res) => {
     const { businessId } = req.params;
-    const { name, description, duration, price, discount, staffIds } = req.body;
+    const { name, description, duration, price, discount, staffIds, taxClassId } = req.body;
 
     if (!name || !duration || !price) {
         return res.status(400).json({ message: 'Name, duration, and price are required' });
     }
 
+    const timing = parseTimingFields(req.body);
+    if (timing.error) {
+        return res.status(400).json({ message: timing.error });
+    }
+
+    const payment = parsePaymentFields(req.body);
+    if (payment.error) {
+        return res.status(400).json({ message: payment.error });
+    }
+
     try {
         // Verify business ownership
         const business = await prisma.business.findUnique({
@@ -39,6 +123,11 @@ const createService = async (req, res) => {
             }
         }
 
+        const taxClassError = await validateTaxClass(taxClassId, businessId);
+        if (taxClassError) {
+            return res.status(400).json({ message: taxClassError });
+        }
+
         const service = await prisma.service.create({
             data: {
                 name,
@@ -46,6 +135,9 @@ const createService = async (req, res) => {
                 duration: parseInt(duration),
                 price: parseFloat(price),
                 discount: discount ? parseFloat(discount) : 0,
+                ...timing.data,
+                ...payment.data,
+                taxClassId: taxClassId || null,
                 businessId,
                 assignedStaff: staffIds && staffIds.length > 0 ? {
                     create: staffIds.map(staffId => ({ staffId }))
@@ -82,8 +174,9 @@ const getServices = async (req, res) => {
 
     try {
         const services = await prisma.service.findMany({
-            where: { businessId },
+            where: { businessId, archivedAt: null },
             include: {
+                taxClass: true,
                 assignedStaff: {
                     include: {
                         staff: {
@@ -112,7 +205,7 @@ const getServices = async (req, res) => {
 // @access  Private (Owner only)
 const updateService = async (req, res) => {
     const { id } = req.params;
-    const { name, description, duration, price, discount, staffIds } = req.body;
+    const { name, description, duration, price, discount, staffIds, taxClassId } = req.body;
 
     try {
         const service = await prisma.service.findUnique({
@@ -120,7 +213,7 @@ const updateService = async (req, res) => {
             include: { business: true },
         });
 
-        if (!service) {
+        if (!service || service.archivedAt) {
             return res.status(404).json({ message: 'Service not found' });
         }
 
@@ -128,6 +221,16 @@ const updateService = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
+        const timing = parseTimingFields(req.body, service);
+        if (timing.error) {
+            return res.status(400).json({ message: timing.error });
+        }
+
+        const payment = parsePaymentFields(req.body, service);
+        if (payment.error) {
+            return res.status(400).json({ message: payment.error });
+        }
+
         // Validate staff IDs if provided
         if (staffIds && staffIds.length > 0) {
             const staffCount = await prisma.staff.count({
@@ -142,6 +245,13 @@ const updateService = async (req, res) => {
             }
         }
 
+        if (taxClassId !== undefined) {
+            const taxClassError = await validateTaxClass(taxClassId, service.businessId);
+            if (taxClassError) {
+                return res.status(400).json({ message: taxClassError });
+            }
+        }
+
         // If staffIds is provided (even if empty array), update assignments
         if (staffIds !== undefined) {
             console.log('🔧 updateService - staffIds provided:', staffIds);
@@ -178,6 +288,9 @@ const updateService = async (req, res) => {
                 duration: duration ? parseInt(duration) : undefined,
                 price: price ? parseFloat(price) : undefined,
                 discount: discount !== undefined ? parseFloat(discount) : undefined,
+                ...timing.data,
+                ...payment.data,
+                taxClassId: taxClassId !== undefined ? taxClassId || null : undefined,
             },
             include: {
                 assignedStaff: {
@@ -206,7 +319,8 @@ const updateService = async (req, res) => {
     }
 };
 
-// @desc    Delete service
+// @desc    Delete service. It is archived so past appointments keep their history;
+//          appointments already booked for it still go ahead.
 // @route   DELETE /api/services/:id
 // @access  Private (Owner only)
 const deleteService = async (req, res) => {
@@ -218,7 +332,7 @@ const deleteService = async (req, res) => {
             include: { business: true },
         });
 
-        if (!service) {
+        if (!service || service.archivedAt) {
             return res.status(404).json({ message: 'Service not found' });
         }
 
@@ -226,8 +340,9 @@ const deleteService = async (req, res) => {
             return res.status(403).json({ message: 'Not authorized' });
         }
 
-        await prisma.service.delete({
+        await prisma.service.update({
             where: { id },
+            data: { archivedAt: new Date() },
         });
 
         res.json({ message: 'Service deleted successfully' });
@@ -0,0 +1,248 @@
+const prisma = require('../lib/prisma');
+const availabilityService = require('../services/availabilityService');
+const { notifyUser } = require('../utils/notify');
+
+// Helper function to validate special hours input
+const validateSpecialHour = ({ date, isClosed, startTime, endTime }) => {
+    if (!availabilityService.isValidDateKey(date)) {
+        return 'Date must be in YYYY-MM-DD format';
+    }
+
+    if (!isClosed) {
+        if (!availabilityService.isValidTime(startTime) || !availabilityService.isValidTime(endTime)) {
+            return 'Start and end times must be in HH:mm format';
+        }
+        if (startTime >= endTime) {
+            return 'Start time must be before end time';
+        }
+    }
+
+    return null;
+};
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to check whether a save changed the opening hours of a day
+const hoursChanged = (before, after) => {
+    return !before ||
+        before.date !== after.date ||
+        before.isClosed !== after.isClosed ||
+        before.startTime !== after.startTime ||
+        before.endTime !== after.endTime;
+};
+
+// Helper function to notify customers whose bookings no longer fit the day's hours
+const notifyAffectedCustomers = async (business, specialHour, io) => {
+    const { start: startOfDay, end: endOfDay } = availabilityService.getDayBounds(specialHour.date, business.timeZone);
+    const appointments = await availabilityService.getBlockingAppointments(business.id, startOfDay, endOfDay);
+
+    const window = specialHour.isClosed
+        ? null
+        : await availabilityService.getOpeningWindow(business, specialHour.date);
+
+    const affected = appointments.filter((apt) => {
+        if (!window) {
+            return true;
+        }
+        const { start, end } = availabilityService.getAppointmentRange(apt);
+        return start < window.start || end > window.end;
+    });
+
+    for (const apt of affected) {
+        await notifyUser(
+            apt.customerId,
+            'BUSINESS_CLOSURE',
+            specialHour.isClosed ? 'Business Closed' : 'Business Hours Changed',
+            specialHour.isClosed
+                ? `${business.name} will be closed on ${specialHour.date}${specialHour.reason ? ` (${specialHour.reason})` : ''}. Please reschedule your appointment for ${apt.serviceName}.`
+                : `${business.name} has changed its hours on ${specialHour.date}. Please reschedule your appointment for ${apt.serviceName}.`,
+            { appointmentId: apt.id, businessId: business.id, date: specialHour.date },
+            io
+        );
+    }
+
+    return affected.length;
+};
+
+// @desc    Get special hours (holidays, custom hours) for a business
+// @route   GET /api/businesses/:id/special-hours
+// @access  Public
+const getSpecialHours = async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    try {
+        const where = { businessId: id };
+        if (from || to) {
+            where.date = {};
+            if (from) where.date.gte = from;
+            if (to) where.date.lte = to;
+        }
+
+        const specialHours = await prisma.businessSpecialHour.findMany({
+            where,
+            orderBy: { date: 'asc' },
+        });
+
+        res.json(specialHours);
+    } catch (error) {
+        console.error('Error in getSpecialHours:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create or replace special hours for a date
+// @route   POST /api/businesses/:id/special-hours
+// @access  Private (Owner only)
+const upsertSpecialHour = async (req, res) => {
+    const { id } = req.params;
+    const { date, startTime, endTime, reason } = req.body;
+    const isClosed = req.body.isClosed !== undefined ? Boolean(req.body.isClosed) : true;
+
+    const validationError = validateSpecialHour({ date, isClosed, startTime, endTime });
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const result = await getOwnedBusiness(id, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const data = {
+            isClosed,
+            startTime: isClosed ? null : startTime,
+            endTime: isClosed ? null : endTime,
+            reason,
+        };
+
+        const existing = await prisma.businessSpecialHour.findUnique({
+            where: {
+                businessId_date: { businessId: id, date }
+            }
+        });
+
+        const specialHour = await prisma.businessSpecialHour.upsert({
+            where: {
+                businessId_date: { businessId: id, date }
+            },
+            create: { ...data, date, businessId: id },
+            update: data,
+        });
+
+        const affectedAppointments = hoursChanged(existing, specialHour)
+            ? await notifyAffectedCustomers(result.business, specialHour, req.app.get('io'))
+            : 0;
+
+        res.status(201).json({ ...specialHour, affectedAppointments });
+    } catch (error) {
+        console.error('Error in upsertSpecialHour:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update special hours entry
+// @route   PUT /api/businesses/:id/special-hours/:specialHourId
+// @access  Private (Owner only)
+const updateSpecialHour = async (req, res) => {
+    const { id, specialHourId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(id, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const existing = await prisma.businessSpecialHour.findUnique({
+            where: { id: specialHourId },
+        });
+
+        if (!existing || existing.businessId !== id) {
+            return res.status(404).json({ message: 'Special hours entry not found' });
+        }
+
+        const merged = {
+            date: req.body.date ?? existing.date,
+            isClosed: req.body.isClosed !== undefined ? Boolean(req.body.isClosed) : existing.isClosed,
+            startTime: req.body.startTime ?? existing.startTime,
+            endTime: req.body.endTime ?? existing.endTime,
+            reason: req.body.reason !== undefined ? req.body.reason : existing.reason,
+        };
+
+        const validationError = validateSpecialHour(merged);
+        if (validationError) {
+            return res.status(400).json({ message: validationError });
+        }
+
+        const specialHour = await prisma.businessSpecialHour.update({
+            where: { id: specialHourId },
+            data: {
+                ...merged,
+                startTime: merged.isClosed ? null : merged.startTime,
+                endTime: merged.isClosed ? null : merged.endTime,
+            },
+        });
+
+        const affectedAppointments = hoursChanged(existing, specialHour)
+            ? await notifyAffectedCustomers(result.business, specialHour, req.app.get('io'))
+            : 0;
+
+        res.json({ ...specialHour, affectedAppointments });
+    } catch (error) {
+        console.error('Error in updateSpecialHour:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Delete special hours entry
+// @route   DELETE /api/businesses/:id/special-hours/:specialHourId
+// @access  Private (Owner only)
+const deleteSpecialHour = async (req, res) => {
+    const { id, specialHourId } = req.params;
+
+    try {
+        const result = await getOwnedBusiness(id, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const existing = await prisma.businessSpecialHour.findUnique({
+            where: { id: specialHourId },
+        });
+
+        if (!existing || existing.businessId !== id) {
+            return res.status(404).json({ message: 'Special hours entry not found' });
+        }
+
+        await prisma.businessSpecialHour.delete({
+            where: { id: specialHourId },
+        });
+
+        res.json({ message: 'Special hours entry deleted successfully' });
+    } catch (error) {
+        console.error('Error in deleteSpecialHour:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getSpecialHours,
+    upsertSpecialHour,
+    updateSpecialHour,
+    deleteSpecialHour,
+};
@@ -34,7 +34,8 @@ const createStaff = async (req, res) => {
             const serviceCount = await prisma.service.count({
                 where: {
                     id: { in: serviceIds },
-                    businessId: businessId
+                    businessId: businessId,
+                    archivedAt: null
                 }
             });
 
@@ -187,7 +188,8 @@ const updateStaff = async (req, res) => {
             const serviceCount = await prisma.service.count({
                 where: {
                     id: { in: serviceIds },
-                    businessId: staff.businessId
+                    businessId: staff.businessId,
+                    archivedAt: null
                 }
             });
 
@@ -0,0 +1,457 @@
+const prisma = require('../lib/prisma');
+const { isValidTime, isValidDateKey } = require('../services/availabilityService');
+const { notifyUser } = require('../utils/notify');
+const { zonedTimeToUtc } = require('../utils/timeZone');
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?$/;
+
+// Helper function to read a time-off boundary. A date ("YYYY-MM-DD") means
+// midnight and a date-time without an offset is wall-clock time, both in the
+// business time zone; a date-time with an offset is taken as given.
+const parseTimeOffDate = (value, timeZone) => {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return isValidDateKey(value) ? zonedTimeToUtc(value, '00:00', timeZone) : null;
+    }
+
+    const local = value.match(LOCAL_DATE_TIME_PATTERN);
+    if (local) {
+        return isValidDateKey(local[1]) && isValidTime(local[2]) ? zonedTimeToUtc(local[1], local[2], timeZone) : null;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+// Helper function to validate a list of weekly shift/break entries
+const validateWeeklyEntries = (entries, label) => {
+    if (!Array.isArray(entries)) {
+        return `${label} must be an array`;
+    }
+
+    for (const entry of entries) {
+        const dayOfWeek = Number(entry.dayOfWeek);
+        if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+            return `${label} dayOfWeek must be between 0 and 6`;
+        }
+        if (!isValidTime(entry.startTime) || !isValidTime(entry.endTime)) {
+            return `${label} times must be in HH:mm format`;
+        }
+        if (entry.startTime >= entry.endTime) {
+            return `${label} start time must be before end time`;
+        }
+    }
+
+    return null;
+};
+
+// Helper function to validate a time-off date range in the business time zone
+const parseTimeOffRange = (startDate, endDate, timeZone) => {
+    const start = parseTimeOffDate(startDate, timeZone);
+    const end = parseTimeOffDate(endDate, timeZone);
+
+    if (!start || !end) {
+        return { error: 'Valid start and end dates are required' };
+    }
+    if (start >= end) {
+        return { error: 'Start date must be before end date' };
+    }
+
+    return { start, end };
+};
+
+// Helper function to find active appointments that clash with a time-off range
+const getConflictingAppointments = (staffId, start, end) => {
+    return prisma.appointment.findMany({
+        where: {
+            staffId,
+            status: { in: ['PENDING', 'CONFIRMED'] },
+            date: { gte: start, lt: end },
+        },
+        include: {
+            service: { select: { name: true } },
+            customer: { select: { name: true } },
+        },
+        orderBy: { date: 'asc' },
+    });
+};
+
+// Helper function to load a staff member and check the owner
+const getOwnedStaff = async (staffId, userId) => {
+    const staff = await prisma.staff.findUnique({
+        where: { id: staffId },
+        include: { business: true },
+    });
+
+    if (!staff) {
+        return { status: 404, message: 'Staff member not found' };
+    }
+    if (staff.business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { staff };
+};
+
+const scheduleInclude = {
+    shifts: { orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }] },
+    breaks: { orderBy: [{ dayOfWeek: 'asc' }, { startTime: 'asc' }] },
+    timeOff: { orderBy: { startDate: 'asc' } },
+};
+
+// @desc    Get staff schedule (shifts, breaks, time-off)
+// @route   GET /api/staff/:id/schedule
+// @access  Private (Owner, or the staff member)
+const getStaffSchedule = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const staff = await prisma.staff.findUnique({
+            where: { id },
+            include: {
+                business: true,
+                ...scheduleInclude,
+            },
+        });
+
+        if (!staff) {
+            return res.status(404).json({ message: 'Staff member not found' });
+        }
+
+        const isOwner = staff.business.ownerId === req.user.id;
+        const isSelf = staff.userId === req.user.id;
+
+        if (!isOwner && !isSelf) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        res.json({
+            staffId: staff.id,
+            shifts: staff.shifts,
+            breaks: staff.breaks,
+            timeOff: staff.timeOff,
+        });
+    } catch (error) {
+        console.error('Error in getStaffSchedule:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Replace staff weekly shifts and breaks
+// @route   PUT /api/staff/:id/schedule
+// @access  Private (Owner only)
+const updateStaffSchedule = async (req, res) => {
+    const { id } = req.params;
+    const { shifts, breaks } = req.body;
+
+    const validationError =
+        (shifts !== undefined && validateWeeklyEntries(shifts, 'Shift')) ||
+        (breaks !== undefined && validateWeeklyEntries(breaks, 'Break'));
+
+    if (validationError) {
+        return res.status(400).json({ message: validationError });
+    }
+
+    try {
+        const result = await getOwnedStaff(id, req.user.id);
+        if (!result.staff) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        await prisma.$transaction(async (tx) => {
+            // Update shifts if provided
+            if (shifts !== undefined) {
+                await tx.staffShift.deleteMany({ where: { staffId: id } });
+                await tx.staffShift.createMany({
+                    data: shifts.map(shift => ({
+                        dayOfWeek: Number(shift.dayOfWeek),
+                        startTime: shift.startTime,
+                        endTime: shift.endTime,
+                        staffId: id,
+                    }))
+                });
+            }
+
+            // Update breaks if provided
+            if (breaks !== undefined) {
+                await tx.staffBreak.deleteMany({ where: { staffId: id } });
+                await tx.staffBreak.createMany({
+                    data: breaks.map(brk => ({
+                        dayOfWeek: Number(brk.dayOfWeek),
+                        startTime: brk.startTime,
+                        endTime: brk.endTime,
+                        label: brk.label || null,
+                        staffId: id,
+                    }))
+                });
+            }
+        });
+
+        const updated = await prisma.staff.findUnique({
+            where: { id },
+            include: scheduleInclude,
+        });
+
+        res.json({
+            staffId: updated.id,
+            shifts: updated.shifts,
+            breaks: updated.breaks,
+            timeOff: updated.timeOff,
+        });
+    } catch (error) {
+        console.error('Error in updateStaffSchedule:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Add time-off for a staff member (approved immediately)
+// @route   POST /api/staff/:id/schedule/time-off
+// @access  Private (Owner only)
+const createTimeOff = async (req, res) => {
+    const { id } = req.params;
+    const { startDate, endDate, reason } = req.body;
+
+    try {
+        const result = await getOwnedStaff(id, req.user.id);
+        if (!result.staff) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const range = parseTimeOffRange(startDate, endDate, result.staff.business.timeZone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const timeOff = await prisma.staffTimeOff.create({
+            data: {
+                staffId: id,
+                startDate: range.start,
+                endDate: range.end,
+                reason,
+                status: 'APPROVED',
+                reviewedById: req.user.id,
+                reviewedAt: new Date(),
+            },
+        });
+
+        const conflictingAppointments = await getConflictingAppointments(id, range.start, range.end);
+
+        res.status(201).json({ ...timeOff, conflictingAppointments });
+    } catch (error) {
+        console.error('Error in createTimeOff:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Approve or reject a time-off request
+// @route   PUT /api/staff/:id/schedule/time-off/:timeOffId
+// @access  Private (Owner only)
+const reviewTimeOff = async (req, res) => {
+    const { id, timeOffId } = req.params;
+    const { status } = req.body;
+
+    if (!['APPROVED', 'REJECTED'].includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+    }
+
+    try {
+        const result = await getOwnedStaff(id, req.user.id);
+        if (!result.staff) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const timeOff = await prisma.staffTimeOff.findUnique({
+            where: { id: timeOffId },
+        });
+
+        if (!timeOff || timeOff.staffId !== id) {
+            return res.status(404).json({ message: 'Time-off entry not found' });
+        }
+
+        const updated = await prisma.staffTimeOff.update({
+            where: { id: timeOffId },
+            data: {
+                status,
+                reviewedById: req.user.id,
+                reviewedAt: new Date(),
+            },
+        });
+
+        // Let the staff member know their request was reviewed
+        if (result.staff.userId) {
+            await notifyUser(
+                result.staff.userId,
+                'TIME_OFF_REVIEWED',
+                status === 'APPROVED' ? 'Time Off Approved' : 'Time Off Rejected',
+                `Your time-off request was ${status === 'APPROVED' ? 'approved' : 'rejected'}`,
+                { timeOffId: updated.id, status },
+                req.app.get('io')
+            );
+        }
+
+        const conflictingAppointments = status === 'APPROVED'
+            ? await getConflictingAppointments(id, updated.startDate, updated.endDate)
+            : [];
+
+        res.json({ ...updated, conflictingAppointments });
+    } catch (error) {
+        console.error('Error in reviewTimeOff:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Delete a time-off entry
+// @route   DELETE /api/staff/:id/schedule/time-off/:timeOffId
+// @access  Private (Owner only)
+const deleteTimeOff = async (req, res) => {
+    const { id, timeOffId } = req.params;
+
+    try {
+        const result = await getOwnedStaff(id, req.user.id);
+        if (!result.staff) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const timeOff = await prisma.staffTimeOff.findUnique({
+            where: { id: timeOffId },
+        });
+
+        if (!timeOff || timeOff.staffId !== id) {
+            return res.status(404).json({ message: 'Time-off entry not found' });
+        }
+
+        await prisma.staffTimeOff.delete({
+            where: { id: timeOffId },
+        });
+
+        res.json({ message: 'Time-off entry deleted successfully' });
+    } catch (error) {
+        console.error('Error in deleteTimeOff:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get logged-in staff's schedule
+// @route   GET /api/staff/me/schedule
+// @access  Private (Staff only)
+const getMySchedule = async (req, res) => {
+    try {
+        const staff = await prisma.staff.findUnique({
+            where: { userId: req.user.id },
+            include: scheduleInclude,
+        });
+
+        if (!staff) {
+            return res.status(404).json({ message: 'Staff profile not found' });
+        }
+
+        res.json({
+            staffId: staff.id,
+            shifts: staff.shifts,
+            breaks: staff.breaks,
+            timeOff: staff.timeOff,
+        });
+    } catch (error) {
+        console.error('Error in getMySchedule:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Request time-off (pending owner approval)
+// @route   POST /api/staff/me/time-off
+// @access  Private (Staff only)
+const requestTimeOff = async (req, res) => {
+    const { startDate, endDate, reason } = req.body;
+
+    try {
+        const staff = await prisma.staff.findUnique({
+            where: { userId: req.user.id },
+            include: { business: true },
+        });
+
+        if (!staff) {
+            return res.status(404).json({ message: 'Staff profile not found' });
+        }
+
+        const range = parseTimeOffRange(startDate, endDate, staff.business.timeZone);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const timeOff = await prisma.staffTimeOff.create({
+            data: {
+                staffId: staff.id,
+                startDate: range.start,
+                endDate: range.end,
+                reason,
+                status: 'PENDING',
+            },
+        });
+
+        // Notify Business Owner
+        await notifyUser(
+            staff.business.ownerId,
+            'TIME_OFF_REQUESTED',
+            'Time Off Requested',
+            `${staff.name} requested time off`,
+            { timeOffId: timeOff.id, staffId: staff.id },
+            req.app.get('io')
+        );
+
+        res.status(201).json(timeOff);
+    } catch (error) {
+        console.error('Error in requestTimeOff:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Withdraw a pending time-off request
+// @route   DELETE /api/staff/me/time-off/:timeOffId
+// @access  Private (Staff only)
+const cancelTimeOffRequest = async (req, res) => {
+    const { timeOffId } = req.params;
+
+    try {
+        const staff = await prisma.staff.findUnique({
+            where: { userId: req.user.id },
+        });
+
+        if (!staff) {
+            return res.status(404).json({ message: 'Staff profile not found' });
+        }
+
+        const timeOff = await prisma.staffTimeOff.findUnique({
+            where: { id: timeOffId },
+        });
+
+        if (!timeOff || timeOff.staffId !== staff.id) {
+            return res.status(404).json({ message: 'Time-off entry not found' });
+        }
+
+        if (timeOff.status !== 'PENDING') {
+            return res.status(400).json({ message: 'Only pending requests can be withdrawn' });
+        }
+
+        await prisma.staffTimeOff.delete({
+            where: { id: timeOffId },
+        });
+
+        res.json({ message: 'Time-off request withdrawn' });
+    } catch (error) {
+        console.error('Error in cancelTimeOffRequest:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getStaffSchedule,
+    updateStaffSchedule,
+    createTimeOff,
+    reviewTimeOff,
+    deleteTimeOff,
+    getMySchedule,
+    requestTimeOff,
+    cancelTimeOffRequest,
+};
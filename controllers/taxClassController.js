@@ -0,0 +1,158 @@
+const prisma = require('../lib/prisma');
+
+// Helper function to validate a tax rate (percent)
+const isValidRate = (rate) => typeof rate === 'number' && rate >= 0 && rate <= 100;
+
+// Helper function to load a business and check the owner
+const getOwnedBusiness = async (businessId, userId) => {
+    const business = await prisma.business.findUnique({
+        where: { id: businessId },
+    });
+
+    if (!business) {
+        return { status: 404, message: 'Business not found' };
+    }
+    if (business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { business };
+};
+
+// Helper function to load a tax class and check the owner of its business
+const getOwnedTaxClass = async (id, userId) => {
+    const taxClass = await prisma.taxClass.findUnique({
+        where: { id },
+        include: { business: true },
+    });
+
+    if (!taxClass) {
+        return { status: 404, message: 'Tax class not found' };
+    }
+    if (taxClass.business.ownerId !== userId) {
+        return { status: 403, message: 'Not authorized' };
+    }
+
+    return { taxClass };
+};
+
+// @desc    Get the tax classes of a business
+// @route   GET /api/businesses/:businessId/tax-classes
+// @access  Public
+const getTaxClasses = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const taxClasses = await prisma.taxClass.findMany({
+            where: { businessId },
+            orderBy: { name: 'asc' },
+        });
+
+        res.json(taxClasses);
+    } catch (error) {
+        console.error('Error in getTaxClasses:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Create a tax class
+// @route   POST /api/businesses/:businessId/tax-classes
+// @access  Private (Owner only)
+const createTaxClass = async (req, res) => {
+    const { businessId } = req.params;
+    const { name, rate } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ message: 'Name is required' });
+    }
+    if (!isValidRate(rate)) {
+        return res.status(400).json({ message: 'Tax rate must be between 0 and 100 percent' });
+    }
+
+    try {
+        const result = await getOwnedBusiness(businessId, req.user.id);
+        if (!result.business) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const taxClass = await prisma.taxClass.create({
+            data: { name: name.trim(), rate, businessId },
+        });
+
+        res.status(201).json(taxClass);
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'A tax class with this name already exists' });
+        }
+        console.error('Error in createTaxClass:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Update a tax class
+// @route   PUT /api/tax-classes/:id
+// @access  Private (Owner only)
+const updateTaxClass = async (req, res) => {
+    const { id } = req.params;
+    const { name, rate } = req.body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ message: 'Name cannot be empty' });
+    }
+    if (rate !== undefined && !isValidRate(rate)) {
+        return res.status(400).json({ message: 'Tax rate must be between 0 and 100 percent' });
+    }
+
+    try {
+        const result = await getOwnedTaxClass(id, req.user.id);
+        if (!result.taxClass) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        const taxClass = await prisma.taxClass.update({
+            where: { id },
+            data: {
+                name: name !== undefined ? name.trim() : undefined,
+                rate,
+            },
+        });
+
+        res.json(taxClass);
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return res.status(409).json({ message: 'A tax class with this name already exists' });
+        }
+        console.error('Error in updateTaxClass:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Delete a tax class. Its services fall back to the business tax rate.
+// @route   DELETE /api/tax-classes/:id
+// @access  Private (Owner only)
+const deleteTaxClass = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const result = await getOwnedTaxClass(id, req.user.id);
+        if (!result.taxClass) {
+            return res.status(result.status).json({ message: result.message });
+        }
+
+        await prisma.taxClass.delete({
+            where: { id },
+        });
+
+        res.json({ message: 'Tax class deleted successfully' });
+    } catch (error) {
+        console.error('Error in deleteTaxClass:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    getTaxClasses,
+    createTaxClass,
+    updateTaxClass,
+    deleteTaxClass,
+};
@@ -0,0 +1,221 @@
+const prisma = require('../lib/prisma');
+const availabilityService = require('../services/availabilityService');
+const waitlistService = require('../services/waitlistService');
+const { toDateKey } = require('../utils/timeZone');
+
+const waitlistInclude = {
+    business: {
+        select: { id: true, name: true, timeZone: true },
+    },
+    service: {
+        select: { id: true, name: true, duration: true },
+    },
+    staff: {
+        select: { id: true, name: true },
+    },
+};
+
+// @desc    Join the waitlist for a service on a range of dates
+// @route   POST /api/waitlist
+// @access  Private (Customer)
+const joinWaitlist = async (req, res) => {
+    const { businessId, serviceId, staffId, fromDate } = req.body;
+    const toDate = req.body.toDate || fromDate;
+
+    if (!businessId || !serviceId || !fromDate) {
+        return res.status(400).json({ message: 'Business, service, and date are required' });
+    }
+
+    if (!availabilityService.isValidDateKey(fromDate) || !availabilityService.isValidDateKey(toDate)) {
+        return res.status(400).json({ message: 'Dates must be in YYYY-MM-DD format' });
+    }
+
+    if (fromDate > toDate) {
+        return res.status(400).json({ message: 'Start date must be before end date' });
+    }
+
+    try {
+        const service = await prisma.service.findUnique({
+            where: { id: serviceId },
+            include: {
+                assignedStaff: true,
+                business: true,
+            },
+        });
+
+        if (!service || service.archivedAt) {
+            return res.status(404).json({ message: 'Service not found' });
+        }
+
+        if (service.businessId !== businessId) {
+            return res.status(400).json({ message: 'Service does not belong to this business' });
+        }
+
+        if (staffId && !service.assignedStaff.some(as => as.staffId === staffId)) {
+            return res.status(400).json({ message: 'Selected staff member is not assigned to this service' });
+        }
+
+        if (toDate < toDateKey(new Date(), service.business.timeZone)) {
+            return res.status(400).json({ message: 'Cannot join the waitlist for past dates' });
+        }
+
+        const existing = await prisma.waitlistEntry.findFirst({
+            where: {
+                customerId: req.user.id,
+                serviceId,
+                status: { in: ['WAITING', 'OFFERED'] },
+                fromDate: { lte: toDate },
+                toDate: { gte: fromDate },
+            },
+        });
+
+        if (existing) {
+            return res.status(400).json({ message: 'You are already on the waitlist for these dates' });
+        }
+
+        const entry = await prisma.waitlistEntry.create({
+            data: {
+                customerId: req.user.id,
+                businessId,
+                serviceId,
+                staffId: staffId || null,
+                fromDate,
+                toDate,
+            },
+            include: waitlistInclude,
+        });
+
+        // Place in line among customers waiting for the same service on any of these dates
+        const position = await prisma.waitlistEntry.count({
+            where: {
+                serviceId,
+                status: 'WAITING',
+                fromDate: { lte: toDate },
+                toDate: { gte: fromDate },
+                createdAt: { lte: entry.createdAt },
+            },
+        });
+
+        res.status(201).json({ ...entry, position });
+    } catch (error) {
+        console.error('Error in joinWaitlist:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get customer's waitlist entries
+// @route   GET /api/waitlist/my
+// @access  Private (Customer)
+const getMyWaitlist = async (req, res) => {
+    try {
+        const entries = await prisma.waitlistEntry.findMany({
+            where: {
+                customerId: req.user.id,
+                status: { in: ['WAITING', 'OFFERED'] },
+            },
+            include: waitlistInclude,
+            orderBy: { createdAt: 'desc' },
+        });
+
+        res.json(entries);
+    } catch (error) {
+        console.error('Error in getMyWaitlist:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Customer)
+const leaveWaitlist = async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const entry = await prisma.waitlistEntry.findUnique({
+            where: { id },
+            include: { business: true },
+        });
+
+        if (!entry || entry.customerId !== req.user.id) {
+            return res.status(404).json({ message: 'Waitlist entry not found' });
+        }
+
+        if (!['WAITING', 'OFFERED'].includes(entry.status)) {
+            return res.status(400).json({ message: 'This waitlist entry is no longer active' });
+        }
+
+        const { count } = await prisma.waitlistEntry.updateMany({
+            where: { id, status: entry.status },
+            data: {
+                status: 'CANCELLED',
+                holdExpiresAt: null,
+            },
+        });
+
+        if (count === 0) {
+            return res.status(409).json({ message: 'This waitlist entry was changed at the same time, please try again' });
+        }
+
+        // Offer the slot held for this customer to the next one in line
+        if (entry.status === 'OFFERED') {
+            await waitlistService.offerSlot({
+                business: entry.business,
+                start: entry.offeredSlot,
+                staffId: entry.offeredStaffId,
+                sourceAppointmentId: entry.sourceAppointmentId,
+            }, req.app.get('io'));
+        }
+
+        res.json({ message: 'Removed from waitlist' });
+    } catch (error) {
+        console.error('Error in leaveWaitlist:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+// @desc    Get a business's active waitlist, in order
+// @route   GET /api/waitlist/business/:businessId
+// @access  Private (Owner only)
+const getBusinessWaitlist = async (req, res) => {
+    const { businessId } = req.params;
+
+    try {
+        const business = await prisma.business.findUnique({
+            where: { id: businessId },
+        });
+
+        if (!business) {
+            return res.status(404).json({ message: 'Business not found' });
+        }
+
+        if (business.ownerId !== req.user.id) {
+            return res.status(403).json({ message: 'Not authorized' });
+        }
+
+        const entries = await prisma.waitlistEntry.findMany({
+            where: {
+                businessId,
+                status: { in: ['WAITING', 'OFFERED'] },
+            },
+            include: {
+                ...waitlistInclude,
+                customer: {
+                    select: { name: true, email: true, phone: true },
+                },
+            },
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json(entries);
+    } catch (error) {
+        console.error('Error in getBusinessWaitlist:', error);
+        res.status(500).json({ message: 'Server error', error: error.message });
+    }
+};
+
+module.exports = {
+    joinWaitlist,
+    getMyWaitlist,
+    leaveWaitlist,
+    getBusinessWaitlist,
+};
@@ -0,0 +1,124 @@
+const prisma = require('../lib/prisma');
+const { registerJob, startScheduler, stopScheduler, runDueJobs } = require('./scheduler');
+const appointmentStatusService = require('../services/appointmentStatusService');
+const reminderService = require('../services/reminderService');
+const waitlistService = require('../services/waitlistService');
+const paymentService = require('../services/paymentService');
+const loyaltyService = require('../services/loyaltyService');
+
+const MINUTE = 60 * 1000;
+
+// Cancel PENDING bookings whose time has passed without being confirmed
+registerJob('expire-pending-appointments', {
+    intervalMs: 5 * MINUTE,
+    handler: async ({ io, now }) => {
+        const count = await appointmentStatusService.cancelExpiredAppointments({ io, now });
+        if (count > 0) {
+            console.log(`Cancelled ${count} expired pending appointments`);
+        }
+    },
+});
+
+// Release bookings that were not paid for in time
+registerJob('expire-unpaid-appointments', {
+    intervalMs: 5 * MINUTE,
+    handler: async ({ io, now }) => {
+        const count = await paymentService.expireUnpaidAppointments({ io, now });
+        if (count > 0) {
+            console.log(`Cancelled ${count} unpaid appointments`);
+        }
+    },
+});
+
+// Remind customers of upcoming appointments
+registerJob('send-appointment-reminders', {
+    intervalMs: 5 * MINUTE,
+    handler: async ({ io, now }) => {
+        const count = await reminderService.sendDueReminders({ io, now });
+        if (count > 0) {
+            console.log(`Sent ${count} appointment reminders`);
+        }
+    },
+});
+
+// Pass lapsed waitlist holds on to the next customer in line
+registerJob('expire-waitlist-holds', {
+    intervalMs: MINUTE,
+    handler: async ({ io, now }) => {
+        const count = await waitlistService.expireHolds({ io, now });
+        if (count > 0) {
+            console.log(`Expired ${count} waitlist entries`);
+        }
+    },
+});
+
+// Expire loyalty points that were not spent in time
+registerJob('expire-loyalty-points', {
+    intervalMs: 60 * MINUTE,
+    handler: async ({ now }) => {
+        const count = await loyaltyService.expirePoints({ now });
+        if (count > 0) {
+            console.log(`Expired loyalty points from ${count} entries`);
+        }
+    },
+});
+
+// Invalidate staff invitations that were never accepted
+registerJob('expire-staff-invitations', {
+    intervalMs: 60 * MINUTE,
+    handler: async ({ now }) => {
+        const { count } = await prisma.staff.updateMany({
+            where: {
+                userId: null,
+                invitationToken: { not: null },
+                invitationExpires: { lt: now },
+            },
+            data: {
+                invitationToken: null,
+                invitationExpires: null,
+            },
+        });
+        if (count > 0) {
+            console.log(`Expired ${count} staff invitations`);
+        }
+    },
+});
+
+// Clear expired email verification and appointment completion OTPs
+registerJob('expire-verification-otps', {
+    intervalMs: 15 * MINUTE,
+    handler: async ({ now }) => {
+        const [users, appointments] = await Promise.all([
+            prisma.user.updateMany({
+                where: {
+                    verificationToken: { not: null },
+                    tokenExpires: { lt: now },
+                },
+                data: {
+                    verificationToken: null,
+                    tokenExpires: null,
+                },
+            }),
+            prisma.appointment.updateMany({
+                where: {
+                    completionOtp: { not: null },
+                    otpExpires: { lt: now },
+                },
+                data: {
+                    completionOtp: null,
+                    otpExpires: null,
+                },
+            }),
+        ]);
+        if (users.count + appointments.count > 0) {
+            console.log(`Cleared ${users.count} verification and ${appointments.count} completion OTPs`);
+        }
+    },
+});
+
+module.exports = {
+    registerJob,
+    startScheduler,
+    stopScheduler,
+    runDueJobs,
+};
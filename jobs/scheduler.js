@@ -0,0 +1,149 @@
+const os = require('os');
+const prisma = require('../lib/prisma');
+
+// In-process scheduler for periodic tasks. Each job has a row in the
+// ScheduledJob table holding its next run time and a lock, so schedules
+// survive restarts and a run is only picked up by one instance.
+
+const DEFAULT_POLL_INTERVAL_MS = 60 * 1000;
+const DEFAULT_JOB_TIMEOUT_MS = 10 * 60 * 1000;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+const syncedJobs = new Set();
+let timer = null;
+let ticking = false;
+let context = {};
+
+/**
+ * Register a periodic task. `handler` receives { io, now } and is run at
+ * most once per `intervalMs` across all instances. `timeoutMs` is how long
+ * a run may hold the lock before another instance may take over.
+ */
+const registerJob = (name, { intervalMs, handler, timeoutMs = DEFAULT_JOB_TIMEOUT_MS }) => {
+    if (!name || typeof handler !== 'function' || !(intervalMs > 0)) {
+        throw new Error(`Invalid job definition for "${name}"`);
+    }
+    if (jobs.has(name)) {
+        throw new Error(`Job "${name}" is already registered`);
+    }
+
+    jobs.set(name, { name, intervalMs, handler, timeoutMs });
+};
+
+// Helper function to make sure a job has a row, keeping its interval current
+const syncJob = async (job) => {
+    if (syncedJobs.has(job.name)) {
+        return;
+    }
+
+    await prisma.scheduledJob.upsert({
+        where: { name: job.name },
+        create: { name: job.name, intervalMs: job.intervalMs },
+        update: { intervalMs: job.intervalMs },
+    });
+    syncedJobs.add(job.name);
+};
+
+// Helper function to take the lock on a due job. Returns true if this instance got it.
+const claimJob = async (job, now) => {
+    const { count } = await prisma.scheduledJob.updateMany({
+        where: {
+            name: job.name,
+            nextRunAt: { lte: now },
+            OR: [
+                { lockedUntil: null },
+                { lockedUntil: { lt: now } },
+            ],
+        },
+        data: {
+            lockedUntil: new Date(now.getTime() + job.timeoutMs),
+            lockedBy: INSTANCE_ID,
+        },
+    });
+
+    return count === 1;
+};
+
+// Helper function to run a claimed job and schedule its next run
+const runJob = async (job, now) => {
+    let lastError = null;
+    try {
+        await job.handler({ ...context, now });
+    } catch (error) {
+        console.error(`Error in job ${job.name}:`, error);
+        lastError = error.message;
+    }
+
+    await prisma.scheduledJob.update({
+        where: { name: job.name },
+        data: {
+            lastRunAt: now,
+            lastDurationMs: Date.now() - now.getTime(),
+            lastError,
+            runCount: { increment: 1 },
+            nextRunAt: new Date(now.getTime() + job.intervalMs),
+            lockedUntil: null,
+            lockedBy: null,
+        },
+    });
+};
+
+/**
+ * Run every registered job that is due and not locked by another instance.
+ * `io` is passed on to job handlers when run outside the scheduler.
+ */
+const runDueJobs = async ({ io } = {}) => {
+    if (ticking) {
+        return;
+    }
+    ticking = true;
+    if (io) {
+        context = { io };
+    }
+
+    try {
+        for (const job of jobs.values()) {
+            try {
+                await syncJob(job);
+                const now = new Date();
+                if (await claimJob(job, now)) {
+                    await runJob(job, now);
+                }
+            } catch (error) {
+                console.error(`Error scheduling job ${job.name}:`, error);
+            }
+        }
+    } finally {
+        ticking = false;
+    }
+};
+
+/**
+ * Start polling for due jobs. `io` is passed on to job handlers so they can
+ * send real-time notifications.
+ */
+const startScheduler = ({ io, pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) => {
+    if (timer) {
+        return;
+    }
+
+    context = { io };
+    timer = setInterval(runDueJobs, pollIntervalMs);
+    runDueJobs();
+    console.log(`⏱️  Job scheduler started with ${jobs.size} job(s)`);
+};
+
+const stopScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    registerJob,
+    runDueJobs,
+    startScheduler,
+    stopScheduler,
+};
@@ -37,6 +37,25 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Identify the user on public routes when a valid token is sent, without requiring one
+const identify = async (req, res, next) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        try {
+            const token = req.headers.authorization.split(' ')[1];
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+            req.user = await prisma.user.findUnique({
+                where: { id: decoded.id },
+                select: { id: true, role: true, email: true },
+            });
+        } catch (error) {
+            // An invalid token is treated as an anonymous request
+        }
+    }
+
+    next();
+};
+
 const authorize = (...roles) => {
     return (req, res, next) => {
         if (!roles.includes(req.user.role)) {
@@ -46,4 +65,4 @@ const authorize = (...roles) => {
     }
 }
 
-module.exports = { protect, authorize };
+module.exports = { protect, identify, authorize };
@@ -0,0 +1,23 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'BUSINESS_CLOSURE';
+
+-- CreateTable
+CREATE TABLE "BusinessSpecialHour" (
+    "id" TEXT NOT NULL,
+    "date" TEXT NOT NULL,
+    "isClosed" BOOLEAN NOT NULL DEFAULT true,
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "reason" TEXT,
+    "businessId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BusinessSpecialHour_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BusinessSpecialHour_businessId_date_key" ON "BusinessSpecialHour"("businessId", "date");
+
+-- AddForeignKey
+ALTER TABLE "BusinessSpecialHour" ADD CONSTRAINT "BusinessSpecialHour_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "timeZone" TEXT NOT NULL DEFAULT 'Asia/Kolkata';
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'APPOINTMENT_RESCHEDULED';
+
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "cancellationWindowHours" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "AppointmentEventType" AS ENUM ('CREATED', 'STATUS_CHANGED', 'RESCHEDULED', 'STAFF_ASSIGNED');
+
+-- CreateTable
+CREATE TABLE "AppointmentEvent" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "type" "AppointmentEventType" NOT NULL,
+    "fromStatus" "AppointmentStatus",
+    "toStatus" "AppointmentStatus",
+    "actorId" TEXT,
+    "actorRole" "Role",
+    "note" TEXT,
+    "data" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AppointmentEvent_appointmentId_idx" ON "AppointmentEvent"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "AppointmentEvent" ADD CONSTRAINT "AppointmentEvent_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentEvent" ADD CONSTRAINT "AppointmentEvent_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "ScheduledJob" (
+    "name" TEXT NOT NULL,
+    "intervalMs" INTEGER NOT NULL,
+    "nextRunAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastRunAt" TIMESTAMP(3),
+    "lastDurationMs" INTEGER,
+    "lastError" TEXT,
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "lockedUntil" TIMESTAMP(3),
+    "lockedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ScheduledJob_pkey" PRIMARY KEY ("name")
+);
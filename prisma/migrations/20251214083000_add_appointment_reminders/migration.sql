@@ -0,0 +1,22 @@
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'APPOINTMENT_REMINDER';
+
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "reminderHours" INTEGER[] DEFAULT ARRAY[24, 2]::INTEGER[],
+ADD COLUMN     "remindersEnabled" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "AppointmentReminder" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "offsetHours" INTEGER NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentReminder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AppointmentReminder_appointmentId_offsetHours_key" ON "AppointmentReminder"("appointmentId", "offsetHours");
+
+-- AddForeignKey
+ALTER TABLE "AppointmentReminder" ADD CONSTRAINT "AppointmentReminder_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('WEEKLY', 'BIWEEKLY', 'MONTHLY');
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "seriesId" TEXT,
+ADD COLUMN     "seriesIndex" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AppointmentSeries" (
+    "id" TEXT NOT NULL,
+    "frequency" "RecurrenceFrequency" NOT NULL,
+    "occurrences" INTEGER,
+    "until" TIMESTAMP(3),
+    "customerId" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "serviceId" TEXT NOT NULL,
+    "staffId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AppointmentSeries_pkey" PRIMARY KEY ("id")
+);
+
+-- AddForeignKey
+ALTER TABLE "Appointment" ADD CONSTRAINT "Appointment_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "AppointmentSeries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_serviceId_fkey" FOREIGN KEY ("serviceId") REFERENCES "Service"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AppointmentSeries" ADD CONSTRAINT "AppointmentSeries_staffId_fkey" FOREIGN KEY ("staffId") REFERENCES "Staff"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "bufferAfter" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "bufferBefore" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "processingDuration" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "processingStart" INTEGER NOT NULL DEFAULT 0;
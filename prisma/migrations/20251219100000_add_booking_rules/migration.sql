@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "dailyStaffCap" INTEGER,
+ADD COLUMN     "maxAdvanceDays" INTEGER,
+ADD COLUMN     "minNoticeMinutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "slotInterval" INTEGER NOT NULL DEFAULT 30;
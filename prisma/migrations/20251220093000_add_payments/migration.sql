@@ -0,0 +1,65 @@
+-- CreateEnum
+CREATE TYPE "PaymentRequirement" AS ENUM ('NONE', 'DEPOSIT', 'FULL');
+
+-- CreateEnum
+CREATE TYPE "PaymentType" AS ENUM ('DEPOSIT', 'FULL');
+
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('PENDING', 'SUCCEEDED', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'PAYMENT_RECEIVED';
+ALTER TYPE "NotificationType" ADD VALUE 'PAYMENT_FAILED';
+
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'INR';
+
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "depositPercent" INTEGER,
+ADD COLUMN     "paymentRequirement" "PaymentRequirement" NOT NULL DEFAULT 'NONE';
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "amountDue" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "Payment" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "bookingId" TEXT,
+    "customerId" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "type" "PaymentType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" "PaymentStatus" NOT NULL DEFAULT 'PENDING',
+    "provider" TEXT NOT NULL,
+    "providerPaymentId" TEXT,
+    "clientSecret" TEXT,
+    "failureReason" TEXT,
+    "paidAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_providerPaymentId_key" ON "Payment"("providerPaymentId");
+
+-- CreateIndex
+CREATE INDEX "Payment_appointmentId_idx" ON "Payment"("appointmentId");
+
+-- CreateIndex
+CREATE INDEX "Payment_bookingId_idx" ON "Payment"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "Booking"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Payment" ADD CONSTRAINT "Payment_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,46 @@
+-- CreateEnum
+CREATE TYPE "LedgerEntryType" AS ENUM ('PAYMENT', 'CANCELLATION_FEE', 'REFUND');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'PAYMENT_REFUNDED';
+
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "lateCancellationFeePercent" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Payment" ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LedgerEntry" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "type" "LedgerEntryType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "description" TEXT,
+    "paymentId" TEXT,
+    "providerRefundId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerEntry_providerRefundId_key" ON "LedgerEntry"("providerRefundId");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_appointmentId_idx" ON "LedgerEntry"("appointmentId");
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('CASH', 'CARD', 'UPI');
+
+-- CreateEnum
+CREATE TYPE "CheckoutItemType" AS ENUM ('SERVICE', 'ADDON', 'PRODUCT');
+
+-- AlterEnum
+ALTER TYPE "AppointmentEventType" ADD VALUE 'CHECKED_OUT';
+
+-- AlterEnum
+ALTER TYPE "LedgerEntryType" ADD VALUE 'SALE';
+
+-- CreateTable
+CREATE TABLE "Checkout" (
+    "id" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "tip" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "total" DOUBLE PRECISION NOT NULL,
+    "prepaid" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "amountCollected" DOUBLE PRECISION NOT NULL,
+    "paymentMethod" "PaymentMethod" NOT NULL,
+    "currency" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Checkout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CheckoutItem" (
+    "id" TEXT NOT NULL,
+    "checkoutId" TEXT NOT NULL,
+    "type" "CheckoutItemType" NOT NULL,
+    "name" TEXT NOT NULL,
+    "serviceId" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "total" DOUBLE PRECISION NOT NULL,
+
+    CONSTRAINT "CheckoutItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Checkout_appointmentId_key" ON "Checkout"("appointmentId");
+
+-- CreateIndex
+CREATE INDEX "Checkout_businessId_createdAt_idx" ON "Checkout"("businessId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Checkout" ADD CONSTRAINT "Checkout_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Checkout" ADD CONSTRAINT "Checkout_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Checkout" ADD CONSTRAINT "Checkout_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CheckoutItem" ADD CONSTRAINT "CheckoutItem_checkoutId_fkey" FOREIGN KEY ("checkoutId") REFERENCES "Checkout"("id") ON DELETE CASCADE ON UPDATE CASCADE;
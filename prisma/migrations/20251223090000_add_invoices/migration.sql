@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "lastInvoiceNumber" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "taxName" TEXT NOT NULL DEFAULT 'GST',
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRegistrationNumber" TEXT;
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "number" TEXT NOT NULL,
+    "appointmentId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "seller" JSONB NOT NULL,
+    "buyer" JSONB NOT NULL,
+    "items" JSONB NOT NULL,
+    "taxLines" JSONB NOT NULL,
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxableAmount" DOUBLE PRECISION NOT NULL,
+    "taxTotal" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "tip" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "total" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_appointmentId_key" ON "Invoice"("appointmentId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_businessId_sequence_key" ON "Invoice"("businessId", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
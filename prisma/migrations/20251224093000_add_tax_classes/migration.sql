@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "TaxClass" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "TaxClass_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "TaxClass_businessId_name_key" ON "TaxClass"("businessId", "name");
+
+-- AddForeignKey
+ALTER TABLE "TaxClass" ADD CONSTRAINT "TaxClass_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "taxClassId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "Service" ADD CONSTRAINT "Service_taxClassId_fkey" FOREIGN KEY ("taxClassId") REFERENCES "TaxClass"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AlterTable: existing checkouts were recorded without tax
+ALTER TABLE "Checkout" ADD COLUMN     "netTotal" DOUBLE PRECISION,
+ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "taxTotal" DOUBLE PRECISION NOT NULL DEFAULT 0;
+UPDATE "Checkout" SET "netTotal" = "subtotal" - "discount";
+ALTER TABLE "Checkout" ALTER COLUMN "netTotal" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "CheckoutItem" ADD COLUMN     "discount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "netAmount" DOUBLE PRECISION,
+ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+UPDATE "CheckoutItem" SET "netAmount" = "total";
+ALTER TABLE "CheckoutItem" ALTER COLUMN "netAmount" SET NOT NULL;
+
+-- AlterTable
+ALTER TABLE "Invoice" ADD COLUMN     "pricesIncludeTax" BOOLEAN NOT NULL DEFAULT true;
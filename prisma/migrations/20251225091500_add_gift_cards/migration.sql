@@ -0,0 +1,73 @@
+-- CreateEnum
+CREATE TYPE "GiftCardTransactionType" AS ENUM ('ISSUE', 'REDEMPTION', 'REFUND');
+
+-- AlterEnum
+ALTER TYPE "LedgerEntryType" ADD VALUE 'GIFT_CARD';
+
+-- CreateTable
+CREATE TABLE "GiftCard" (
+    "id" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "initialAmount" DOUBLE PRECISION NOT NULL,
+    "balance" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "recipientName" TEXT,
+    "recipientEmail" TEXT,
+    "note" TEXT,
+    "paymentMethod" "PaymentMethod",
+    "issuedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GiftCard_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GiftCardTransaction" (
+    "id" TEXT NOT NULL,
+    "giftCardId" TEXT NOT NULL,
+    "type" "GiftCardTransactionType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "balanceAfter" DOUBLE PRECISION NOT NULL,
+    "appointmentId" TEXT,
+    "actorId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GiftCardTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "LedgerEntry" ADD COLUMN     "giftCardId" TEXT;
+
+-- AlterTable
+ALTER TABLE "Checkout" ADD COLUMN     "giftCardAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GiftCard_code_key" ON "GiftCard"("code");
+
+-- CreateIndex
+CREATE INDEX "GiftCard_businessId_idx" ON "GiftCard"("businessId");
+
+-- CreateIndex
+CREATE INDEX "GiftCardTransaction_giftCardId_idx" ON "GiftCardTransaction"("giftCardId");
+
+-- AddForeignKey
+ALTER TABLE "GiftCard" ADD CONSTRAINT "GiftCard_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCard" ADD CONSTRAINT "GiftCard_issuedById_fkey" FOREIGN KEY ("issuedById") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LedgerEntry" ADD CONSTRAINT "LedgerEntry_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "LoyaltyTransactionType" AS ENUM ('EARN', 'REDEEM', 'RESTORE', 'EXPIRE', 'ADJUST');
+
+-- AlterTable
+ALTER TABLE "Business" ADD COLUMN     "loyaltyEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "loyaltyPointsPerUnit" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyPointsPerVisit" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyPointsExpiryDays" INTEGER,
+ADD COLUMN     "loyaltyPointValue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyMinRedeemPoints" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyMaxRedeemPercent" INTEGER NOT NULL DEFAULT 100;
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "loyaltyPointsRedeemed" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "loyaltyDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "LoyaltyTransaction" (
+    "id" TEXT NOT NULL,
+    "businessId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "type" "LoyaltyTransactionType" NOT NULL,
+    "points" INTEGER NOT NULL,
+    "remainingPoints" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "appointmentId" TEXT,
+    "actorId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoyaltyTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_customerId_businessId_idx" ON "LoyaltyTransaction"("customerId", "businessId");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_expiresAt_idx" ON "LoyaltyTransaction"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_businessId_fkey" FOREIGN KEY ("businessId") REFERENCES "Business"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_appointmentId_fkey" FOREIGN KEY ("appointmentId") REFERENCES "Appointment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Service" ADD COLUMN     "archivedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Appointment" ADD COLUMN     "serviceName" TEXT,
+ADD COLUMN     "serviceDuration" INTEGER,
+ADD COLUMN     "servicePrice" DOUBLE PRECISION,
+ADD COLUMN     "serviceDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Copy the current service details onto existing appointments
+UPDATE "Appointment" AS a
+SET "serviceName" = s."name",
+    "serviceDuration" = s."duration",
+    "servicePrice" = s."price",
+    "serviceDiscount" = COALESCE(s."discount", 0),
+    "price" = COALESCE(a."price", ROUND((s."price" * (1 - COALESCE(s."discount", 0) / 100))::numeric, 2)::double precision)
+FROM "Service" AS s
+WHERE a."serviceId" = s."id";
+
+-- AlterTable
+ALTER TABLE "Appointment" ALTER COLUMN "serviceName" SET NOT NULL,
+ALTER COLUMN "serviceDuration" SET NOT NULL,
+ALTER COLUMN "servicePrice" SET NOT NULL,
+ALTER COLUMN "price" SET NOT NULL;
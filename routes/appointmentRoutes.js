@@ -6,26 +6,63 @@ const {
     getBusinessAppointments,
     updateAppointmentStatus,
     getAvailableSlots,
+    getAvailabilityCalendar,
     initiateCompletion,
     verifyCompletion,
     markAsCompleted,
     markAsNoShow,
     cleanupExpiredAppointments,
+    cancelMyAppointment,
+    rescheduleMyAppointment,
     claimAppointment,
+    getAppointmentHistory,
 } = require('../controllers/appointmentController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const {
+    createAppointmentSeries,
+    getAppointmentSeries,
+    cancelAppointmentSeries,
+} = require('../controllers/appointmentSeriesController');
+const {
+    checkoutAppointment,
+    getReceipt,
+} = require('../controllers/checkoutController');
+const {
+    issueAppointmentInvoice,
+    getAppointmentInvoice,
+    downloadInvoicePdf,
+    emailAppointmentInvoice,
+} = require('../controllers/invoiceController');
+const { redeemForAppointment } = require('../controllers/giftCardController');
+const { protect, identify, authorize } = require('../middleware/authMiddleware');
 
 // Available slots must come before :id routes
-router.get('/available-slots', getAvailableSlots);
+router.get('/available-slots', identify, getAvailableSlots);
+router.get('/availability', identify, getAvailabilityCalendar);
 
 router.post('/', protect, authorize('CUSTOMER'), createAppointment);
 router.get('/my', protect, authorize('CUSTOMER'), getMyAppointments);
+
+// Recurring series must come before :businessId / :id routes
+router.post('/series', protect, authorize('CUSTOMER'), createAppointmentSeries);
+router.get('/series/:seriesId', protect, authorize('OWNER', 'CUSTOMER'), getAppointmentSeries);
+router.put('/series/:seriesId/cancel', protect, authorize('OWNER', 'CUSTOMER'), cancelAppointmentSeries);
+
 router.get('/:businessId', protect, authorize('OWNER'), getBusinessAppointments);
+router.get('/:id/history', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), getAppointmentHistory);
 router.put('/:id/status', protect, authorize('OWNER', 'STAFF'), updateAppointmentStatus);
+router.put('/:id/cancel', protect, authorize('CUSTOMER'), cancelMyAppointment);
+router.put('/:id/reschedule', protect, authorize('CUSTOMER'), rescheduleMyAppointment);
 router.post('/:id/initiate-completion', protect, authorize('OWNER', 'STAFF'), initiateCompletion);
 router.post('/:id/verify-completion', protect, authorize('OWNER', 'STAFF'), verifyCompletion);
 router.post('/:id/complete', protect, authorize('OWNER', 'STAFF'), markAsCompleted);
 router.post('/:id/no-show', protect, authorize('OWNER', 'STAFF'), markAsNoShow);
+router.post('/:id/checkout', protect, authorize('OWNER', 'STAFF'), checkoutAppointment);
+router.get('/:id/receipt', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), getReceipt);
+router.post('/:id/gift-card', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), redeemForAppointment);
+router.post('/:id/invoice', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), issueAppointmentInvoice);
+router.get('/:id/invoice', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), getAppointmentInvoice);
+router.get('/:id/invoice/pdf', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), downloadInvoicePdf);
+router.post('/:id/invoice/email', protect, authorize('OWNER', 'STAFF', 'CUSTOMER'), emailAppointmentInvoice);
 router.post('/cleanup-expired', protect, authorize('OWNER'), cleanupExpiredAppointments);
 router.post('/:id/claim', protect, authorize('STAFF'), claimAppointment);
 
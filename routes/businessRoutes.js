@@ -7,12 +7,29 @@ const {
     getAllBusinesses,
     getBusinessById,
 } = require('../controllers/businessController');
+const {
+    getSpecialHours,
+    upsertSpecialHour,
+    updateSpecialHour,
+    deleteSpecialHour,
+} = require('../controllers/specialHoursController');
+const { getRevenue } = require('../controllers/checkoutController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 router.post('/', protect, authorize('OWNER'), createBusiness);
 router.get('/my', protect, authorize('OWNER'), getMyBusiness);
 router.get('/', getAllBusinesses);
 router.put('/:id', protect, authorize('OWNER'), updateBusiness);
+
+// Holidays and special hours
+router.get('/:id/special-hours', getSpecialHours);
+router.post('/:id/special-hours', protect, authorize('OWNER'), upsertSpecialHour);
+router.put('/:id/special-hours/:specialHourId', protect, authorize('OWNER'), updateSpecialHour);
+router.delete('/:id/special-hours/:specialHourId', protect, authorize('OWNER'), deleteSpecialHour);
+
+// Reports
+router.get('/:id/revenue', protect, authorize('OWNER'), getRevenue);
+
 router.get('/:id', getBusinessById); // Keep /:id routes last
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    issueGiftCard,
+    getGiftCards,
+    getGiftCard,
+    getGiftCardBalance,
+} = require('../controllers/giftCardController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Business-specific gift card routes
+router.post('/businesses/:businessId/gift-cards', protect, authorize('OWNER'), issueGiftCard);
+router.get('/businesses/:businessId/gift-cards', protect, authorize('OWNER'), getGiftCards);
+
+// Balance lookup must come before :id routes
+router.get('/gift-cards/balance', protect, getGiftCardBalance);
+router.get('/gift-cards/:id', protect, authorize('OWNER'), getGiftCard);
+
+module.exports = router;
@@ -0,0 +1,7 @@
+const express = require('express');
+const router = express.Router();
+const { runJobs } = require('../controllers/jobController');
+
+router.get('/run', runJobs);
+
+module.exports = router;
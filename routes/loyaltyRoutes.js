@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMyBalances,
+    getMyLoyalty,
+    getCustomerBalances,
+    getCustomerLoyalty,
+    adjustPoints,
+} = require('../controllers/loyaltyController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Customer loyalty routes
+router.get('/loyalty/balances', protect, authorize('CUSTOMER'), getMyBalances);
+router.get('/businesses/:businessId/loyalty/my', protect, authorize('CUSTOMER'), getMyLoyalty);
+
+// Owner loyalty routes
+router.get('/businesses/:businessId/loyalty/customers', protect, authorize('OWNER'), getCustomerBalances);
+router.get('/businesses/:businessId/loyalty/customers/:customerId', protect, authorize('OWNER'), getCustomerLoyalty);
+router.post('/businesses/:businessId/loyalty/customers/:customerId/adjust', protect, authorize('OWNER'), adjustPoints);
+
+module.exports = router;
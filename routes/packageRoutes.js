@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPackages,
+    createPackage,
+    updatePackage,
+    sellPackage,
+    getSoldPackages,
+    getMyPackages,
+} = require('../controllers/packageController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Business-specific package routes
+router.get('/businesses/:businessId/packages', getPackages);
+router.post('/businesses/:businessId/packages', protect, authorize('OWNER'), createPackage);
+router.get('/businesses/:businessId/customer-packages', protect, authorize('OWNER'), getSoldPackages);
+
+// Customer packages must come before :id routes
+router.get('/packages/my', protect, authorize('CUSTOMER'), getMyPackages);
+
+// Individual package routes
+router.put('/packages/:id', protect, authorize('OWNER'), updatePackage);
+router.post('/packages/:id/sell', protect, authorize('OWNER'), sellPackage);
+
+module.exports = router;
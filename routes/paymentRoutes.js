@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+    handleWebhook,
+    payForAppointment,
+    getAppointmentPayments,
+} = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.post('/webhook/:provider', handleWebhook);
+router.post('/appointments/:appointmentId', protect, authorize('CUSTOMER'), payForAppointment);
+router.get('/appointments/:appointmentId', protect, authorize('CUSTOMER', 'OWNER'), getAppointmentPayments);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    checkPromotion,
+} = require('../controllers/promotionController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Business-specific promotion routes
+router.get('/businesses/:businessId/promotions', protect, authorize('OWNER'), getPromotions);
+router.post('/businesses/:businessId/promotions', protect, authorize('OWNER'), createPromotion);
+router.post('/businesses/:businessId/promotions/check', protect, checkPromotion);
+
+// Individual promotion routes
+router.put('/promotions/:id', protect, authorize('OWNER'), updatePromotion);
+router.delete('/promotions/:id', protect, authorize('OWNER'), deletePromotion);
+
+module.exports = router;
@@ -10,6 +10,16 @@ const {
     getMyStaffProfile,
     getMyAppointments,
 } = require('../controllers/staffController');
+const {
+    getStaffSchedule,
+    updateStaffSchedule,
+    createTimeOff,
+    reviewTimeOff,
+    deleteTimeOff,
+    getMySchedule,
+    requestTimeOff,
+    cancelTimeOffRequest,
+} = require('../controllers/staffScheduleController');
 const { protect, authorize } = require('../middleware/authMiddleware');
 
 // Business-specific staff routes
@@ -21,6 +31,18 @@ router.post('/staff/accept-invitation/:token', acceptInvitation); // Public
 router.get('/staff/me', protect, authorize('STAFF'), getMyStaffProfile);
 router.get('/staff/appointments', protect, authorize('STAFF'), getMyAppointments);
 
+// Staff self-service schedule and time-off requests
+router.get('/staff/me/schedule', protect, authorize('STAFF'), getMySchedule);
+router.post('/staff/me/time-off', protect, authorize('STAFF'), requestTimeOff);
+router.delete('/staff/me/time-off/:timeOffId', protect, authorize('STAFF'), cancelTimeOffRequest);
+
+// Staff schedule management
+router.get('/staff/:id/schedule', protect, authorize('OWNER', 'STAFF'), getStaffSchedule);
+router.put('/staff/:id/schedule', protect, authorize('OWNER'), updateStaffSchedule);
+router.post('/staff/:id/schedule/time-off', protect, authorize('OWNER'), createTimeOff);
+router.put('/staff/:id/schedule/time-off/:timeOffId', protect, authorize('OWNER'), reviewTimeOff);
+router.delete('/staff/:id/schedule/time-off/:timeOffId', protect, authorize('OWNER'), deleteTimeOff);
+
 // Individual staff routes
 router.get('/staff/:id', getStaffById); // Public route for staff profile
 router.put('/staff/:id', protect, authorize('OWNER'), updateStaff);
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getTaxClasses,
+    createTaxClass,
+    updateTaxClass,
+    deleteTaxClass,
+} = require('../controllers/taxClassController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+// Business-specific tax class routes
+router.get('/businesses/:businessId/tax-classes', getTaxClasses);
+router.post('/businesses/:businessId/tax-classes', protect, authorize('OWNER'), createTaxClass);
+
+// Individual tax class routes
+router.put('/tax-classes/:id', protect, authorize('OWNER'), updateTaxClass);
+router.delete('/tax-classes/:id', protect, authorize('OWNER'), deleteTaxClass);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+    joinWaitlist,
+    getMyWaitlist,
+    leaveWaitlist,
+    getBusinessWaitlist,
+} = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+
+router.post('/', protect, authorize('CUSTOMER'), joinWaitlist);
+router.get('/my', protect, authorize('CUSTOMER'), getMyWaitlist);
+router.get('/business/:businessId', protect, authorize('OWNER'), getBusinessWaitlist);
+router.delete('/:id', protect, authorize('CUSTOMER'), leaveWaitlist);
+
+module.exports = router;
@@ -57,7 +57,12 @@ app.use((req, res, next) => {
     next();
 });
 
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body so payment webhooks can verify their signature
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 
 // Serve static files (uploaded images)
@@ -72,6 +77,14 @@ const appointmentRoutes = require('./routes/appointmentRoutes');
 const reviewRoutes = require('./routes/reviewRoutes');
 const uploadRoutes = require('./routes/uploadRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const taxClassRoutes = require('./routes/taxClassRoutes');
+const giftCardRoutes = require('./routes/giftCardRoutes');
+const promotionRoutes = require('./routes/promotionRoutes');
+const packageRoutes = require('./routes/packageRoutes');
+const loyaltyRoutes = require('./routes/loyaltyRoutes');
+const jobRoutes = require('./routes/jobRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api', uploadRoutes); // Mount upload routes at /api to support /businesses and /staff paths
@@ -81,6 +94,14 @@ app.use('/api', staffRoutes);
 app.use('/api/appointments', appointmentRoutes);
 app.use('/api', reviewRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api', taxClassRoutes);
+app.use('/api', giftCardRoutes);
+app.use('/api', promotionRoutes);
+app.use('/api', packageRoutes);
+app.use('/api', loyaltyRoutes);
+app.use('/api/jobs', jobRoutes);
 
 app.get('/', async (req, res) => {
     try {
@@ -115,6 +136,13 @@ if (require.main === module) {
     server.listen(port, () => {
         console.log(`Server running at http://localhost:${port}`);
     });
+
+    // Background jobs (expiry, reminders, ...). Where the app is only
+    // imported (e.g. Vercel), a cron job calls GET /api/jobs/run instead.
+    if (process.env.DISABLE_JOBS !== 'true') {
+        const { startScheduler } = require('./jobs');
+        startScheduler({ io });
+    }
 }
 
 module.exports = app;
@@ -0,0 +1,183 @@
+const prisma = require('../lib/prisma');
+
+/**
+ * Allowed status transitions. COMPLETED, CANCELLED and NO_SHOW are final.
+ */
+const STATUS_TRANSITIONS = {
+    PENDING: ['CONFIRMED', 'CANCELLED', 'COMPLETED', 'NO_SHOW'],
+    CONFIRMED: ['COMPLETED', 'CANCELLED', 'NO_SHOW'],
+    COMPLETED: [],
+    CANCELLED: [],
+    NO_SHOW: [],
+};
+
+/**
+ * Check whether an appointment may move from one status to another
+ */
+const canTransition = (fromStatus, toStatus) => {
+    return (STATUS_TRANSITIONS[fromStatus] || []).includes(toStatus);
+};
+
+/**
+ * Record an entry in an appointment's history.
+ * `actor` is the acting user ({ id, role }) or null for system actions.
+ */
+const recordEvent = (db, { appointmentId, type, fromStatus, toStatus, actor, note, data }) => {
+    return db.appointmentEvent.create({
+        data: {
+            appointmentId,
+            type,
+            fromStatus: fromStatus || null,
+            toStatus: toStatus || null,
+            actorId: actor?.id || null,
+            actorRole: actor?.role || null,
+            note: note || null,
+            data: data || undefined,
+        },
+    });
+};
+
+const statusChangeHandlers = [];
+
+/**
+ * Register a function to run after every status change. It is called with
+ * { appointment, fromStatus, toStatus, actor, io }; errors are logged only.
+ */
+const onStatusChange = (handler) => {
+    statusChangeHandlers.push(handler);
+};
+
+// Helper function to run the status change handlers
+const runStatusChangeHandlers = async (change) => {
+    for (const handler of statusChangeHandlers) {
+        try {
+            await handler(change);
+        } catch (error) {
+            console.error('Error in status change handler:', error);
+        }
+    }
+};
+
+/**
+ * Move an appointment to a new status through the transition table and
+ * record who did it. `extraData` is written alongside the status change and
+ * `io` is passed on to status change handlers. `work(tx, appointment)` runs in
+ * the same transaction, so the change and the work happen together; if it
+ * returns { error } neither does. Whatever else it returns is passed back.
+ * Returns { appointment } or { error: { status, message } }.
+ */
+const transitionStatus = async (appointmentId, toStatus, { actor = null, note, extraData = {}, include, io, work } = {}) => {
+    let workError = null;
+    let result;
+    try {
+        result = await prisma.$transaction(async (tx) => {
+            const appointment = await tx.appointment.findUnique({
+                where: { id: appointmentId },
+            });
+
+            if (!appointment) {
+                return { error: { status: 404, message: 'Appointment not found' } };
+            }
+
+            const fromStatus = appointment.status;
+            if (!canTransition(fromStatus, toStatus)) {
+                return {
+                    error: {
+                        status: 409,
+                        message: `Cannot change appointment from ${fromStatus} to ${toStatus}`,
+                    },
+                };
+            }
+
+            // Only update if nobody changed the status in the meantime
+            const { count } = await tx.appointment.updateMany({
+                where: { id: appointmentId, status: fromStatus },
+                data: { ...extraData, status: toStatus },
+            });
+
+            if (count === 0) {
+                return { error: { status: 409, message: 'Appointment status was changed by someone else' } };
+            }
+
+            await recordEvent(tx, {
+                appointmentId,
+                type: 'STATUS_CHANGED',
+                fromStatus,
+                toStatus,
+                actor,
+                note,
+            });
+
+            const updated = await tx.appointment.findUnique({
+                where: { id: appointmentId },
+                include,
+            });
+
+            const outcome = work ? await work(tx, updated) : {};
+            if (outcome.error) {
+                // Throwing rolls the status change back with the work
+                workError = outcome.error;
+                throw new Error(workError.message);
+            }
+
+            return { ...outcome, appointment: updated, fromStatus };
+        });
+    } catch (error) {
+        if (!workError) {
+            throw error;
+        }
+        return { error: workError };
+    }
+
+    if (result.appointment) {
+        await runStatusChangeHandlers({
+            appointment: result.appointment,
+            fromStatus: result.fromStatus,
+            toStatus,
+            actor,
+            io,
+        });
+    }
+
+    return result;
+};
+
+/**
+ * Cancel PENDING appointments whose start time has passed, limited to one
+ * owner's businesses when `ownerId` is given. Returns the number cancelled.
+ */
+const cancelExpiredAppointments = async ({ ownerId, actor = null, io, now = new Date() } = {}) => {
+    const expired = await prisma.appointment.findMany({
+        where: {
+            status: 'PENDING',
+            date: {
+                lt: now,
+            },
+            ...(ownerId ? { business: { ownerId } } : {}),
+        },
+        select: { id: true },
+    });
+
+    let count = 0;
+    for (const { id } of expired) {
+        const result = await transitionStatus(id, 'CANCELLED', {
+            actor,
+            note: 'Expired before being confirmed',
+            io,
+        });
+        if (result.appointment) {
+            count++;
+        }
+    }
+
+    return count;
+};
+
+module.exports = {
+    STATUS_TRANSITIONS,
+    canTransition,
+    recordEvent,
+    onStatusChange,
+    transitionStatus,
+    cancelExpiredAppointments,
+};
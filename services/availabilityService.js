@@ -0,0 +1,673 @@
+const prisma = require('../lib/prisma');
+const { zonedTimeToUtc, toDateKey, toTimeString, getDayOfWeek, addDays } = require('../utils/timeZone');
+
+const SLOT_INTERVAL = 30; // minutes, unless the business sets its own
+const DEFAULT_SERVICE_DURATION = 30; // minutes
+const BLOCKING_STATUSES = ['PENDING', 'CONFIRMED'];
+
+/**
+ * Check whether two time ranges overlap
+ */
+const rangesOverlap = (startA, endA, startB, endB) => startA < endB && endA > startB;
+
+/**
+ * Get the start and end time of an existing appointment, for the duration it was booked for
+ */
+const getAppointmentRange = (appointment) => {
+    const start = new Date(appointment.date);
+    const duration = appointment.serviceDuration || appointment.service?.duration || DEFAULT_SERVICE_DURATION;
+    return { start, end: new Date(start.getTime() + duration * 60000) };
+};
+
+/**
+ * Get the times a staff member is busy for a service starting at `start`:
+ * from the buffer before to the end of the buffer after, minus any
+ * processing gap during which they are free for other bookings
+ */
+const getStaffBusyRanges = (service, start) => {
+    const duration = service?.duration || DEFAULT_SERVICE_DURATION;
+    const busyStart = new Date(start.getTime() - (service?.bufferBefore || 0) * 60000);
+    const busyEnd = new Date(start.getTime() + (duration + (service?.bufferAfter || 0)) * 60000);
+
+    if (!service?.processingDuration) {
+        return [{ start: busyStart, end: busyEnd }];
+    }
+
+    const gapStart = new Date(start.getTime() + service.processingStart * 60000);
+    const gapEnd = new Date(gapStart.getTime() + service.processingDuration * 60000);
+    return [{ start: busyStart, end: gapStart }, { start: gapEnd, end: busyEnd }];
+};
+
+/**
+ * Get the time the chair is occupied for a service starting at `start`,
+ * buffers and processing time included
+ */
+const getOccupiedRange = (service, start) => {
+    const duration = service?.duration || DEFAULT_SERVICE_DURATION;
+    return {
+        start: new Date(start.getTime() - (service?.bufferBefore || 0) * 60000),
+        end: new Date(start.getTime() + (duration + (service?.bufferAfter || 0)) * 60000),
+    };
+};
+
+// Helper function to check whether any range in one list overlaps any in another
+const anyRangesOverlap = (rangesA, rangesB) => {
+    return rangesA.some(a => rangesB.some(b => rangesOverlap(a.start, a.end, b.start, b.end)));
+};
+
+/**
+ * Check that a string is a valid "HH:mm" time
+ */
+const isValidTime = (time) => typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+
+/**
+ * Check that a string is a valid "YYYY-MM-DD" calendar date
+ */
+const isValidDateKey = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const parsed = new Date(`${value}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(value);
+};
+
+/**
+ * Resolve a requested date ("YYYY-MM-DD" or any parseable date) to a
+ * "YYYY-MM-DD" calendar day in the business time zone
+ */
+const resolveDateKey = (date, timeZone) => {
+    if (isValidDateKey(date)) {
+        return date;
+    }
+    const parsed = new Date(date);
+    return isNaN(parsed.getTime()) ? null : toDateKey(parsed, timeZone);
+};
+
+/**
+ * Build the UTC instant of an "HH:mm" wall-clock time on a day in a time zone
+ */
+const atTime = (dateKey, time, timeZone) => zonedTimeToUtc(dateKey, time, timeZone);
+
+/**
+ * Get the UTC start and end of a calendar day in a time zone
+ */
+const getDayBounds = (dateKey, timeZone) => {
+    const start = zonedTimeToUtc(dateKey, '00:00', timeZone);
+    const nextDay = zonedTimeToUtc(addDays(dateKey, 1), '00:00', timeZone);
+    return { start, end: new Date(nextDay.getTime() - 1) };
+};
+
+// Helper function to build a day's opening window from its special hours
+// (which take precedence) or its weekly business hours
+const buildOpeningWindow = (dateKey, timeZone, specialHour, businessHour) => {
+    if (specialHour) {
+        if (specialHour.isClosed) {
+            return null;
+        }
+        return {
+            start: atTime(dateKey, specialHour.startTime, timeZone),
+            end: atTime(dateKey, specialHour.endTime, timeZone)
+        };
+    }
+
+    if (!businessHour || !businessHour.isOpen) {
+        return null;
+    }
+
+    return {
+        start: atTime(dateKey, businessHour.startTime, timeZone),
+        end: atTime(dateKey, businessHour.endTime, timeZone)
+    };
+};
+
+/**
+ * Get the business opening window for a day, or null if closed.
+ * Dated special hours (holidays, late openings) override the weekly hours.
+ */
+const getOpeningWindow = async (business, dateKey, db = prisma) => {
+    const specialHour = await db.businessSpecialHour.findUnique({
+        where: {
+            businessId_date: { businessId: business.id, date: dateKey }
+        }
+    });
+
+    if (specialHour) {
+        return buildOpeningWindow(dateKey, business.timeZone, specialHour, null);
+    }
+
+    const businessHour = await db.businessHour.findFirst({
+        where: {
+            businessId: business.id,
+            dayOfWeek: getDayOfWeek(dateKey)
+        }
+    });
+
+    return buildOpeningWindow(dateKey, business.timeZone, null, businessHour);
+};
+
+/**
+ * Get appointments that block time for a business within a range
+ */
+const getBlockingAppointments = async (businessId, from, to, db = prisma) => {
+    const appointments = await db.appointment.findMany({
+        where: {
+            businessId,
+            date: {
+                gte: from,
+                lte: to,
+            },
+            status: {
+                in: BLOCKING_STATUSES,
+            },
+        },
+        include: {
+            service: true,
+        },
+    });
+
+    // Appointments take the time they were booked for, even if the service has changed since
+    return appointments.map(apt => ({ ...apt, service: { ...apt.service, duration: apt.serviceDuration } }));
+};
+
+/**
+ * Get slots held for waitlisted customers within a range, shaped like
+ * appointments so they block time the same way. Holds for `customerId`
+ * are left out so that customer can book the slot held for them.
+ */
+const getActiveHolds = async (businessId, from, to, customerId, db = prisma) => {
+    const holds = await db.waitlistEntry.findMany({
+        where: {
+            businessId,
+            status: 'OFFERED',
+            holdExpiresAt: { gt: new Date() },
+            offeredSlot: {
+                gte: from,
+                lte: to,
+            },
+            ...(customerId ? { customerId: { not: customerId } } : {}),
+        },
+        include: {
+            service: true,
+        },
+    });
+
+    return holds.map(hold => ({
+        id: hold.id,
+        date: hold.offeredSlot,
+        staffId: hold.offeredStaffId,
+        service: hold.service,
+        customerId: hold.customerId,
+    }));
+};
+
+/**
+ * Get everything that blocks time on a business day: appointments plus
+ * waitlist holds not belonging to `customerId`
+ */
+const getBlockingTime = async (businessId, from, to, { customerId, excludeAppointmentId } = {}, db = prisma) => {
+    const [appointments, holds] = await Promise.all([
+        getBlockingAppointments(businessId, from, to, db),
+        getActiveHolds(businessId, from, to, customerId, db),
+    ]);
+
+    return appointments
+        .filter(apt => apt.id !== excludeAppointmentId)
+        .concat(holds);
+};
+
+/**
+ * Load shifts, breaks and approved time-off for staff members, keyed by staff id.
+ * Weekly shifts and breaks are wall-clock times in the business time zone.
+ */
+const getStaffSchedules = async (staffIds, from, to, timeZone, db = prisma) => {
+    const [shifts, breaks, timeOff] = await Promise.all([
+        db.staffShift.findMany({ where: { staffId: { in: staffIds } } }),
+        db.staffBreak.findMany({ where: { staffId: { in: staffIds } } }),
+        db.staffTimeOff.findMany({
+            where: {
+                staffId: { in: staffIds },
+                status: 'APPROVED',
+                startDate: { lt: to },
+                endDate: { gt: from },
+            }
+        }),
+    ]);
+
+    const schedules = new Map(staffIds.map(id => [id, { timeZone, shifts: [], breaks: [], timeOff: [] }]));
+    shifts.forEach(shift => schedules.get(shift.staffId).shifts.push(shift));
+    breaks.forEach(brk => schedules.get(brk.staffId).breaks.push(brk));
+    timeOff.forEach(entry => schedules.get(entry.staffId).timeOff.push(entry));
+
+    return schedules;
+};
+
+/**
+ * Mark staff who already have the business's daily cap of appointments in
+ * `appointments` (one business day) so they are not offered any more
+ */
+const applyDailyCap = (schedules, appointments, dailyCap) => {
+    if (!dailyCap) {
+        return schedules;
+    }
+
+    const counts = new Map();
+    appointments.filter(apt => apt.staffId).forEach((apt) => {
+        counts.set(apt.staffId, (counts.get(apt.staffId) || 0) + 1);
+    });
+
+    for (const [staffId, schedule] of schedules) {
+        schedule.atDailyCap = (counts.get(staffId) || 0) >= dailyCap;
+    }
+
+    return schedules;
+};
+
+/**
+ * Get a business's booking limits: slot interval, the earliest bookable time
+ * (minimum notice) and the last bookable day (maximum advance window)
+ */
+const getBookingLimits = (business, now = new Date()) => {
+    return {
+        interval: business.slotInterval || SLOT_INTERVAL,
+        earliest: new Date(now.getTime() + (business.minNoticeMinutes || 0) * 60000),
+        lastDateKey: business.maxAdvanceDays
+            ? addDays(toDateKey(now, business.timeZone), business.maxAdvanceDays)
+            : null,
+    };
+};
+
+/**
+ * Check whether [start, end) falls inside a staff member's working time.
+ * Staff without any shifts work whenever the business is open.
+ */
+const isWithinSchedule = (schedule, start, end) => {
+    if (!schedule) {
+        return true;
+    }
+
+    if (schedule.atDailyCap) {
+        return false;
+    }
+
+    const { timeZone } = schedule;
+    const dateKey = toDateKey(start, timeZone);
+    const dayOfWeek = getDayOfWeek(dateKey);
+
+    if (schedule.shifts.length > 0) {
+        const coveredByShift = schedule.shifts.some(shift =>
+            shift.dayOfWeek === dayOfWeek &&
+            atTime(dateKey, shift.startTime, timeZone) <= start &&
+            end <= atTime(dateKey, shift.endTime, timeZone)
+        );
+        if (!coveredByShift) {
+            return false;
+        }
+    }
+
+    const onBreak = schedule.breaks.some(brk =>
+        brk.dayOfWeek === dayOfWeek &&
+        rangesOverlap(start, end, atTime(dateKey, brk.startTime, timeZone), atTime(dateKey, brk.endTime, timeZone))
+    );
+    if (onBreak) {
+        return false;
+    }
+
+    return !schedule.timeOff.some(entry => rangesOverlap(start, end, entry.startDate, entry.endDate));
+};
+
+/**
+ * Get the staff (from `staffIds`) who are working for the whole of
+ * [start, end) and not busy with other bookings, taking buffers and
+ * processing gaps of `service` and the existing appointments into account.
+ * Overlapping unassigned appointments still need someone to serve them,
+ * so they count against the number of free staff.
+ */
+const findFreeStaff = (appointments, staffIds, start, end, schedules, service = null) => {
+    const busy = service ? getStaffBusyRanges(service, start) : [{ start, end }];
+    const overlapping = appointments.filter(apt =>
+        anyRangesOverlap(busy, getStaffBusyRanges(apt.service, new Date(apt.date)))
+    );
+
+    const busyStaffIds = new Set(overlapping.filter(apt => apt.staffId).map(apt => apt.staffId));
+    const unassignedCount = overlapping.filter(apt => !apt.staffId).length;
+    const freeStaffIds = staffIds.filter(id =>
+        !busyStaffIds.has(id) && isWithinSchedule(schedules?.get(id), start, end)
+    );
+
+    return freeStaffIds.length > unassignedCount ? freeStaffIds : [];
+};
+
+/**
+ * Check whether the business as a whole (single chair) is free for [start, end).
+ * The chair stays occupied during buffers and processing time.
+ */
+const isBusinessFree = (appointments, start, end, service = null) => {
+    const occupied = service ? getOccupiedRange(service, start) : { start, end };
+    return !appointments.some((apt) => {
+        const range = getOccupiedRange(apt.service, new Date(apt.date));
+        return rangesOverlap(occupied.start, occupied.end, range.start, range.end);
+    });
+};
+
+/**
+ * Generate the slots for one day.
+ *
+ * When `staff` is empty the service is not tied to staff and the business is
+ * treated as a single chair. Otherwise each slot lists the staff who are free,
+ * and `staffId` narrows availability down to one staff member. Each slot has
+ * its UTC instant (`time`) and the wall-clock time in the business time zone.
+ */
+const buildDaySlots = ({ window, duration, service = null, staff = [], staffId, appointments, schedules, timeZone, interval = SLOT_INTERVAL, now = new Date() }) => {
+    const slots = [];
+    const staffIds = staff.map(s => s.id);
+    const staffById = new Map(staff.map(s => [s.id, s]));
+
+    let currentSlot = new Date(window.start);
+
+    while (currentSlot < window.end) {
+        // Skip past times if booking for today
+        if (currentSlot < now) {
+            currentSlot = new Date(currentSlot.getTime() + interval * 60000);
+            continue;
+        }
+
+        const slotEnd = new Date(currentSlot.getTime() + duration * 60000);
+
+        // Check if slot ends after business hours
+        if (slotEnd > window.end) {
+            break;
+        }
+
+        if (staffIds.length === 0) {
+            slots.push({
+                time: currentSlot.toISOString(),
+                localTime: toTimeString(currentSlot, timeZone),
+                available: isBusinessFree(appointments, currentSlot, slotEnd, service),
+            });
+        } else {
+            let freeStaffIds = findFreeStaff(appointments, staffIds, currentSlot, slotEnd, schedules, service);
+            if (staffId) {
+                freeStaffIds = freeStaffIds.filter(id => id === staffId);
+            }
+
+            slots.push({
+                time: currentSlot.toISOString(),
+                localTime: toTimeString(currentSlot, timeZone),
+                available: freeStaffIds.length > 0,
+                availableStaff: freeStaffIds.map(id => ({
+                    id,
+                    name: staffById.get(id).name,
+                })),
+            });
+        }
+
+        currentSlot = new Date(currentSlot.getTime() + interval * 60000);
+    }
+
+    return slots;
+};
+
+/**
+ * Lay out an ordered list of services back to back from `start`.
+ *
+ * Each item is { service, staffId } where `service` includes its assigned
+ * staff and `staffId` is an optional requested staff member. Services with
+ * staff get a free staff member (the previous item's one when possible);
+ * services without staff use the single-chair rule. Returns the planned
+ * items [{ service, staffId, start, end }] or null if they do not fit.
+ */
+const planSequence = ({ items, start, window, appointments, schedules }) => {
+    const planned = [];
+    let itemStart = start;
+
+    for (const item of items) {
+        const duration = item.service.duration || DEFAULT_SERVICE_DURATION;
+        const itemEnd = new Date(itemStart.getTime() + duration * 60000);
+
+        if (itemStart < window.start || itemEnd > window.end) {
+            return null;
+        }
+
+        // Services in the same booking follow each other without buffers
+        // between them, so each one is only checked against other bookings
+        const staffIds = item.service.assignedStaff.map(as => as.staffId);
+
+        let staffId = null;
+        if (staffIds.length === 0) {
+            if (!isBusinessFree(appointments, itemStart, itemEnd, item.service)) {
+                return null;
+            }
+        } else {
+            let freeStaffIds = findFreeStaff(appointments, staffIds, itemStart, itemEnd, schedules, item.service);
+            if (item.staffId) {
+                freeStaffIds = freeStaffIds.filter(id => id === item.staffId);
+            }
+            if (freeStaffIds.length === 0) {
+                return null;
+            }
+
+            const previousStaffId = planned.length > 0 ? planned[planned.length - 1].staffId : null;
+            staffId = freeStaffIds.includes(previousStaffId) ? previousStaffId : freeStaffIds[0];
+        }
+
+        planned.push({ service: item.service, staffId, start: itemStart, end: itemEnd });
+        itemStart = itemEnd;
+    }
+
+    return planned;
+};
+
+/**
+ * Get the total duration (minutes) of an ordered list of services
+ */
+const getSequenceDuration = (items) => {
+    return items.reduce((total, item) => total + (item.service.duration || DEFAULT_SERVICE_DURATION), 0);
+};
+
+/**
+ * Generate the slots for one day for several services booked back to back.
+ * Each available slot lists when each service starts and who performs it.
+ */
+const buildSequenceSlots = ({ window, items, appointments, schedules, timeZone, interval = SLOT_INTERVAL, now = new Date() }) => {
+    const slots = [];
+    const totalDuration = getSequenceDuration(items);
+    const staffById = new Map(items.flatMap(item => item.service.assignedStaff.map(as => [as.staffId, as.staff])));
+
+    let currentSlot = new Date(window.start);
+
+    while (currentSlot < window.end) {
+        // Skip past times if booking for today
+        if (currentSlot < now) {
+            currentSlot = new Date(currentSlot.getTime() + interval * 60000);
+            continue;
+        }
+
+        // Check if the whole visit ends after business hours
+        if (new Date(currentSlot.getTime() + totalDuration * 60000) > window.end) {
+            break;
+        }
+
+        const planned = planSequence({ items, start: currentSlot, window, appointments, schedules });
+
+        slots.push({
+            time: currentSlot.toISOString(),
+            localTime: toTimeString(currentSlot, timeZone),
+            available: planned !== null,
+            services: (planned || []).map(p => ({
+                serviceId: p.service.id,
+                time: p.start.toISOString(),
+                localTime: toTimeString(p.start, timeZone),
+                staff: p.staffId ? { id: p.staffId, name: staffById.get(p.staffId)?.name } : null,
+            })),
+        });
+
+        currentSlot = new Date(currentSlot.getTime() + interval * 60000);
+    }
+
+    return slots;
+};
+
+/**
+ * Load the staff schedules needed to plan a list of services on a day
+ */
+const getSequenceSchedules = (items, from, to, timeZone, db = prisma) => {
+    const staffIds = [...new Set(items.flatMap(item => item.service.assignedStaff.map(as => as.staffId)))];
+    return getStaffSchedules(staffIds, from, to, timeZone, db);
+};
+
+/**
+ * Load the opening window and blocking appointments for a business day
+ * ("YYYY-MM-DD" in the business time zone) and generate its slots. Slots
+ * held for `customerId` on the waitlist are shown as free to them.
+ */
+const getDaySlots = async ({ business, duration, service, staff = [], staffId, dateKey, customerId, excludeAppointmentId, now = new Date() }, db = prisma) => {
+    const { timeZone } = business;
+    const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timeZone);
+    const { interval, earliest, lastDateKey } = getBookingLimits(business, now);
+
+    // Prevent booking in the past, within the minimum notice or too far ahead
+    if (endOfDay < earliest || (lastDateKey && dateKey > lastDateKey)) {
+        return [];
+    }
+
+    const window = await getOpeningWindow(business, dateKey, db);
+    if (!window) {
+        return [];
+    }
+
+    const appointments = await getBlockingTime(business.id, startOfDay, endOfDay, { customerId, excludeAppointmentId }, db);
+    const schedules = applyDailyCap(
+        await getStaffSchedules(staff.map(s => s.id), startOfDay, endOfDay, timeZone, db),
+        appointments,
+        business.dailyStaffCap
+    );
+
+    return buildDaySlots({ window, duration, service, staff, staffId, appointments, schedules, timeZone, interval, now: earliest });
+};
+
+/**
+ * Generate the slots for every day from `from` to `to` ("YYYY-MM-DD",
+ * inclusive). Hours, appointments and staff schedules for the whole range
+ * are loaded up front rather than once per day.
+ * Returns [{ date, available, slots }].
+ */
+const getRangeSlots = async ({ business, duration, service, staff = [], staffId, from, to, customerId, now = new Date() }, db = prisma) => {
+    const { timeZone } = business;
+    const { interval, earliest, lastDateKey } = getBookingLimits(business, now);
+    const rangeStart = getDayBounds(from, timeZone).start;
+    const rangeEnd = getDayBounds(to, timeZone).end;
+
+    const [specialHours, businessHours, appointments, schedules] = await Promise.all([
+        db.businessSpecialHour.findMany({
+            where: {
+                businessId: business.id,
+                date: { gte: from, lte: to },
+            },
+        }),
+        db.businessHour.findMany({
+            where: { businessId: business.id },
+        }),
+        getBlockingTime(business.id, rangeStart, rangeEnd, { customerId }, db),
+        getStaffSchedules(staff.map(s => s.id), rangeStart, rangeEnd, timeZone, db),
+    ]);
+
+    const specialByDate = new Map(specialHours.map(h => [h.date, h]));
+    const hoursByDay = new Map(businessHours.map(h => [h.dayOfWeek, h]));
+
+    const days = [];
+    for (let dateKey = from; dateKey <= to; dateKey = addDays(dateKey, 1)) {
+        const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timeZone);
+        const window = buildOpeningWindow(
+            dateKey,
+            timeZone,
+            specialByDate.get(dateKey),
+            hoursByDay.get(getDayOfWeek(dateKey))
+        );
+
+        let slots = [];
+        const bookable = endOfDay >= earliest && (!lastDateKey || dateKey <= lastDateKey);
+        if (window && bookable) {
+            const dayAppointments = appointments.filter(apt => apt.date >= startOfDay && apt.date <= endOfDay);
+            slots = buildDaySlots({
+                window,
+                duration,
+                service,
+                staff,
+                staffId,
+                appointments: dayAppointments,
+                schedules: applyDailyCap(schedules, dayAppointments, business.dailyStaffCap),
+                timeZone,
+                interval,
+                now: earliest,
+            });
+        }
+
+        days.push({
+            date: dateKey,
+            available: slots.some(slot => slot.available),
+            slots,
+        });
+    }
+
+    return days;
+};
+
+/**
+ * Like getDaySlots, for several services booked back to back
+ */
+const getSequenceDaySlots = async ({ business, items, dateKey, customerId, now = new Date() }, db = prisma) => {
+    const { timeZone } = business;
+    const { start: startOfDay, end: endOfDay } = getDayBounds(dateKey, timeZone);
+    const { interval, earliest, lastDateKey } = getBookingLimits(business, now);
+
+    // Prevent booking in the past, within the minimum notice or too far ahead
+    if (endOfDay < earliest || (lastDateKey && dateKey > lastDateKey)) {
+        return [];
+    }
+
+    const window = await getOpeningWindow(business, dateKey, db);
+    if (!window) {
+        return [];
+    }
+
+    const appointments = await getBlockingTime(business.id, startOfDay, endOfDay, { customerId }, db);
+    const schedules = applyDailyCap(
+        await getSequenceSchedules(items, startOfDay, endOfDay, timeZone, db),
+        appointments,
+        business.dailyStaffCap
+    );
+
+    return buildSequenceSlots({ window, items, appointments, schedules, timeZone, interval, now: earliest });
+};
+
+module.exports = {
+    SLOT_INTERVAL,
+    DEFAULT_SERVICE_DURATION,
+    BLOCKING_STATUSES,
+    rangesOverlap,
+    isValidTime,
+    isValidDateKey,
+    resolveDateKey,
+    getAppointmentRange,
+    getStaffBusyRanges,
+    getOccupiedRange,
+    getDayBounds,
+    getOpeningWindow,
+    getBlockingAppointments,
+    getActiveHolds,
+    getBlockingTime,
+    getStaffSchedules,
+    applyDailyCap,
+    getBookingLimits,
+    isWithinSchedule,
+    findFreeStaff,
+    isBusinessFree,
+    buildDaySlots,
+    getDaySlots,
+    getRangeSlots,
+    planSequence,
+    getSequenceDuration,
+    getSequenceSchedules,
+    buildSequenceSlots,
+    getSequenceDaySlots,
+};
@@ -0,0 +1,393 @@
+const prisma = require('../lib/prisma');
+const availabilityService = require('./availabilityService');
+const paymentService = require('./paymentService');
+const promotionService = require('./promotionService');
+const packageService = require('./packageService');
+const { toDateKey } = require('../utils/timeZone');
+
+const MAX_ALTERNATIVE_SLOTS = 5;
+const MAX_BOOKING_SERVICES = 10;
+const SLOT_TAKEN_MESSAGE = 'Selected time slot is no longer available';
+
+/**
+ * Details of a service copied onto an appointment when it is booked, so later
+ * changes to the service do not alter the appointment. `price` is the service
+ * price, for the caller to replace when a promotion or package applies.
+ */
+const getServiceSnapshot = (service) => ({
+    serviceName: service.name,
+    serviceDuration: service.duration || availabilityService.DEFAULT_SERVICE_DURATION,
+    servicePrice: service.price,
+    serviceDiscount: service.discount || 0,
+    price: paymentService.getServicePrice(service),
+});
+
+/**
+ * Check that a chosen staff member exists and works at the business.
+ * Returns null when valid or nobody was chosen, otherwise { status, message }.
+ */
+const validateStaffBusiness = async (businessId, staffId, db = prisma) => {
+    if (!staffId) {
+        return null;
+    }
+
+    const staff = await db.staff.findUnique({
+        where: { id: staffId },
+        select: { businessId: true },
+    });
+    if (!staff || staff.businessId !== businessId) {
+        return { status: 400, message: 'Selected staff member does not work at this business' };
+    }
+
+    return null;
+};
+
+/**
+ * Check that the chosen staff member may perform a service.
+ * Returns null when valid, otherwise { status, message, assignedStaffIds }.
+ */
+const validateStaffSelection = (service, staffId) => {
+    const assignedStaffIds = service.assignedStaff.map(as => as.staffId);
+
+    // Services without assigned staff can be booked without choosing anyone
+    if (assignedStaffIds.length === 0) {
+        return null;
+    }
+
+    if (!staffId) {
+        return { status: 400, message: 'This service requires a staff member to be selected', assignedStaffIds };
+    }
+
+    if (!assignedStaffIds.includes(staffId)) {
+        return { status: 400, message: 'Selected staff member is not assigned to this service', assignedStaffIds };
+    }
+
+    return null;
+};
+
+// Helper function to check a start time against the business booking rules
+// (minimum notice, maximum advance window and slot interval)
+const checkBookingRules = (business, window, start, dateKey, now) => {
+    const { interval, earliest, lastDateKey } = availabilityService.getBookingLimits(business, now);
+
+    if (start < earliest) {
+        return { status: 400, message: `Appointments must be booked at least ${business.minNoticeMinutes} minutes in advance` };
+    }
+
+    if (lastDateKey && dateKey > lastDateKey) {
+        return { status: 400, message: `Appointments can only be booked up to ${business.maxAdvanceDays} days in advance` };
+    }
+
+    if ((start.getTime() - window.start.getTime()) % (interval * 60000) !== 0) {
+        return { status: 400, message: `Appointments must start on a ${interval}-minute slot` };
+    }
+
+    return null;
+};
+
+/**
+ * Check that a service can be booked at `start` with the given staff member.
+ * Slots held for `customerId` from the waitlist count as free for them.
+ * Returns null when the slot is bookable, otherwise { status, message }.
+ */
+const validateSlot = async (db, { business, service, staffId, start, excludeAppointmentId, customerId, now = new Date() }) => {
+    if (isNaN(start.getTime())) {
+        return { status: 400, message: 'Invalid appointment date' };
+    }
+
+    if (start < now) {
+        return { status: 400, message: 'Cannot book an appointment in the past' };
+    }
+
+    const duration = service.duration || availabilityService.DEFAULT_SERVICE_DURATION;
+    const end = new Date(start.getTime() + duration * 60000);
+
+    const dateKey = toDateKey(start, business.timeZone);
+    const window = await availabilityService.getOpeningWindow(business, dateKey, db);
+    if (!window || start < window.start || end > window.end) {
+        return { status: 400, message: 'Selected time is outside business hours' };
+    }
+
+    const ruleError = checkBookingRules(business, window, start, dateKey, now);
+    if (ruleError) {
+        return ruleError;
+    }
+
+    const { start: startOfDay, end: endOfDay } = availabilityService.getDayBounds(dateKey, business.timeZone);
+    const appointments = await availabilityService.getBlockingTime(business.id, startOfDay, endOfDay, {
+        customerId,
+        excludeAppointmentId,
+    }, db);
+
+    const staffIds = service.assignedStaff.map(as => as.staffId);
+    let isFree;
+    if (staffIds.length === 0) {
+        isFree = availabilityService.isBusinessFree(appointments, start, end, service);
+    } else {
+        const schedules = availabilityService.applyDailyCap(
+            await availabilityService.getStaffSchedules(staffIds, startOfDay, endOfDay, business.timeZone, db),
+            appointments,
+            business.dailyStaffCap
+        );
+        isFree = availabilityService.findFreeStaff(appointments, staffIds, start, end, schedules, service).includes(staffId);
+    }
+
+    if (!isFree) {
+        return { status: 409, message: SLOT_TAKEN_MESSAGE };
+    }
+
+    return null;
+};
+
+/**
+ * Find the available slots on the same day closest to the requested time
+ */
+const findAlternativeSlots = async (db, { business, service, staffId, start, customerId, excludeAppointmentId }) => {
+    const slots = await availabilityService.getDaySlots({
+        business,
+        duration: service.duration || availabilityService.DEFAULT_SERVICE_DURATION,
+        service,
+        staff: service.assignedStaff.map(as => as.staff),
+        staffId,
+        dateKey: toDateKey(start, business.timeZone),
+        customerId,
+        excludeAppointmentId,
+    }, db);
+
+    return slots
+        .filter(slot => slot.available)
+        .sort((a, b) => Math.abs(new Date(a.time) - start) - Math.abs(new Date(b.time) - start))
+        .slice(0, MAX_ALTERNATIVE_SLOTS)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+};
+
+/**
+ * Load the services requested for a multi-service booking, in order.
+ * `requested` is [{ serviceId, staffId? }]. Returns { items } where each item
+ * is { service, staffId }, otherwise { status, message }.
+ */
+const loadBookingItems = async (businessId, requested) => {
+    if (!Array.isArray(requested) || requested.length === 0) {
+        return { status: 400, message: 'At least one service is required' };
+    }
+    if (requested.length > MAX_BOOKING_SERVICES) {
+        return { status: 400, message: `A booking can contain at most ${MAX_BOOKING_SERVICES} services` };
+    }
+    if (requested.some(item => !item || !item.serviceId)) {
+        return { status: 400, message: 'Each service must have a serviceId' };
+    }
+
+    const services = await prisma.service.findMany({
+        where: { id: { in: requested.map(item => item.serviceId) }, archivedAt: null },
+        include: {
+            assignedStaff: {
+                include: {
+                    staff: {
+                        select: { id: true, name: true }
+                    }
+                }
+            }
+        }
+    });
+    const servicesById = new Map(services.map(service => [service.id, service]));
+
+    const items = [];
+    for (const { serviceId, staffId } of requested) {
+        const service = servicesById.get(serviceId);
+        if (!service) {
+            return { status: 404, message: 'Service not found' };
+        }
+        if (service.businessId !== businessId) {
+            return { status: 400, message: 'Service does not belong to this business' };
+        }
+        if (staffId && !service.assignedStaff.some(as => as.staffId === staffId)) {
+            return { status: 400, message: `Selected staff member is not assigned to ${service.name}` };
+        }
+        items.push({ service, staffId: staffId || null });
+    }
+
+    return { items };
+};
+
+/**
+ * Check that an ordered list of services can be booked back to back from
+ * `start`. Returns { planned } (see planSequence), otherwise { conflict }.
+ */
+const validateSequence = async (db, { business, items, start, customerId, now = new Date() }) => {
+    if (isNaN(start.getTime())) {
+        return { conflict: { status: 400, message: 'Invalid appointment date' } };
+    }
+
+    if (start < now) {
+        return { conflict: { status: 400, message: 'Cannot book an appointment in the past' } };
+    }
+
+    const end = new Date(start.getTime() + availabilityService.getSequenceDuration(items) * 60000);
+
+    const dateKey = toDateKey(start, business.timeZone);
+    const window = await availabilityService.getOpeningWindow(business, dateKey, db);
+    if (!window || start < window.start || end > window.end) {
+        return { conflict: { status: 400, message: 'Selected time is outside business hours' } };
+    }
+
+    const ruleError = checkBookingRules(business, window, start, dateKey, now);
+    if (ruleError) {
+        return { conflict: ruleError };
+    }
+
+    const { start: startOfDay, end: endOfDay } = availabilityService.getDayBounds(dateKey, business.timeZone);
+    const appointments = await availabilityService.getBlockingTime(business.id, startOfDay, endOfDay, { customerId }, db);
+    const schedules = availabilityService.applyDailyCap(
+        await availabilityService.getSequenceSchedules(items, startOfDay, endOfDay, business.timeZone, db),
+        appointments,
+        business.dailyStaffCap
+    );
+
+    const planned = availabilityService.planSequence({ items, start, window, appointments, schedules });
+    if (!planned) {
+        return { conflict: { status: 409, message: SLOT_TAKEN_MESSAGE } };
+    }
+
+    return { planned };
+};
+
+/**
+ * Find the available multi-service slots on the same day closest to the requested time
+ */
+const findAlternativeSequenceSlots = async (db, { business, items, start, customerId }) => {
+    const slots = await availabilityService.getSequenceDaySlots({
+        business,
+        items,
+        dateKey: toDateKey(start, business.timeZone),
+        customerId,
+    }, db);
+
+    return slots
+        .filter(slot => slot.available)
+        .sort((a, b) => Math.abs(new Date(a.time) - start) - Math.abs(new Date(b.time) - start))
+        .slice(0, MAX_ALTERNATIVE_SLOTS)
+        .sort((a, b) => new Date(a.time) - new Date(b.time));
+};
+
+/**
+ * Check whether an error is a serializable transaction conflict
+ */
+const isWriteConflict = (error) => error?.code === 'P2034';
+
+/**
+ * Run booking work inside a serializable transaction so two customers racing
+ * for the same slot cannot both succeed. A write conflict with a concurrent
+ * booking is reported the same way as a taken slot: { conflict }.
+ */
+const runBookingTransaction = async (work) => {
+    try {
+        return await prisma.$transaction(work, { isolationLevel: 'Serializable' });
+    } catch (error) {
+        if (!isWriteConflict(error)) {
+            throw error;
+        }
+        return { conflict: { status: 409, message: SLOT_TAKEN_MESSAGE } };
+    }
+};
+
+/**
+ * Check the business cancellation policy for a customer change. When the
+ * business charges a late cancellation fee, customers may still cancel
+ * (but not reschedule) within the window until the start time.
+ * Returns null when allowed, otherwise { status, message }.
+ */
+const checkChangePolicy = (business, appointment, { cancelling = false, now = new Date() } = {}) => {
+    const windowHours = business.cancellationWindowHours || 0;
+    const start = new Date(appointment.date);
+    const cutoff = new Date(start.getTime() - windowHours * 60 * 60 * 1000);
+    const lateCancellation = cancelling && business.lateCancellationFeePercent > 0 && now < start;
+
+    if (now > cutoff && !lateCancellation) {
+        return {
+            status: 403,
+            message: windowHours > 0
+                ? `Appointments cannot be changed within ${windowHours} hours of the start time`
+                : 'Appointments cannot be changed after they have started'
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Find the customer's package that pays for a service, unless they chose to
+ * pay for it instead (`usePackage` false). Returns null when none applies.
+ */
+const findBookingPackage = async (db, { business, service, customerId, start, usePackage, pendingSessions }) => {
+    if (usePackage === false) {
+        return null;
+    }
+    return packageService.findUsablePackage(db, {
+        customerId,
+        businessId: business.id,
+        serviceId: service.id,
+        start,
+        pendingSessions,
+    });
+};
+
+/**
+ * Price each planned appointment ({ service, start }) of a booking with
+ * several appointments. One covered by the customer's packages uses a session
+ * of it. A promo code applies to every other one it is valid for, and must be
+ * valid for at least one; the rest get the best campaign. Returns { pricings }
+ * in the order given, otherwise { error }.
+ */
+const priceBookingItems = async (db, { business, planned, customerId, promoCode, usePackage }) => {
+    const pricings = [];
+    const pendingUses = new Map();
+    const pendingSessions = new Map();
+    let promoError = null;
+    let promoUsed = false;
+
+    for (const item of planned) {
+        const input = { business, service: item.service, customerId, start: item.start, pendingUses };
+
+        const customerPackage = await findBookingPackage(db, { ...input, usePackage, pendingSessions });
+        if (customerPackage) {
+            pendingSessions.set(customerPackage.id, (pendingSessions.get(customerPackage.id) || 0) + 1);
+            pricings.push({ price: 0, promotion: null, discount: 0, customerPackage });
+            continue;
+        }
+
+        let pricing = await promotionService.applyPromotion(db, { ...input, code: promoCode });
+        if (pricing.error) {
+            promoError = pricing.error;
+            pricing = await promotionService.applyPromotion(db, input);
+        } else if (promoCode) {
+            promoUsed = true;
+        }
+
+        if (pricing.promotion) {
+            pendingUses.set(pricing.promotion.id, (pendingUses.get(pricing.promotion.id) || 0) + 1);
+        }
+        pricings.push(pricing);
+    }
+
+    if (promoCode && !promoUsed) {
+        // Every service was covered by a package, so the code had nothing to discount
+        return { error: promoError || { status: 400, message: 'This promo code does not apply to this booking' } };
+    }
+    return { pricings };
+};
+
+module.exports = {
+    getServiceSnapshot,
+    validateStaffBusiness,
+    validateStaffSelection,
+    validateSlot,
+    findAlternativeSlots,
+    loadBookingItems,
+    validateSequence,
+    findAlternativeSequenceSlots,
+    isWriteConflict,
+    runBookingTransaction,
+    checkChangePolicy,
+    findBookingPackage,
+    priceBookingItems,
+};
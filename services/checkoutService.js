@@ -0,0 +1,364 @@
+const prisma = require('../lib/prisma');
+const ledgerService = require('./ledgerService');
+const paymentService = require('./paymentService');
+const appointmentStatusService = require('./appointmentStatusService');
+const taxService = require('./taxService');
+const giftCardService = require('./giftCardService');
+const loyaltyService = require('./loyaltyService');
+const { formatDate, formatTime } = require('../utils/timeZone');
+
+const { roundAmount } = ledgerService;
+
+const PAYMENT_METHODS = ['CASH', 'CARD', 'UPI'];
+const ITEM_TYPES = ['SERVICE', 'ADDON', 'PRODUCT'];
+
+// Helper function to check a money amount is a number of zero or more
+const isValidAmount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate the line items of a checkout for an appointment (with its
+ * business, and its service with its tax class). Each item is
+ * { type, name, quantity?, unitPrice, serviceId?, taxClassId? }; SERVICE items
+ * are taxed by their service's tax class. Without items, the booked service
+ * is charged at the price it was booked for. Returns { items } or { error }.
+ */
+const parseCheckoutItems = async (items, appointment) => {
+    const { business } = appointment;
+
+    if (items === undefined) {
+        const unitPrice = paymentService.getAppointmentPrice(appointment);
+        return {
+            items: [{
+                type: 'SERVICE',
+                name: appointment.serviceName,
+                serviceId: appointment.serviceId,
+                quantity: 1,
+                unitPrice,
+                total: unitPrice,
+                taxRate: taxService.getTaxRate(business, appointment.service.taxClass),
+            }],
+        };
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'At least one line item is required' };
+    }
+
+    const parsed = [];
+    for (const item of items) {
+        if (!item || !ITEM_TYPES.includes(item.type)) {
+            return { error: `Line item type must be one of ${ITEM_TYPES.join(', ')}` };
+        }
+        if (typeof item.name !== 'string' || !item.name.trim()) {
+            return { error: 'Each line item needs a name' };
+        }
+
+        const quantity = item.quantity === undefined ? 1 : item.quantity;
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            return { error: 'Quantity must be a whole number of at least 1' };
+        }
+        if (!isValidAmount(item.unitPrice)) {
+            return { error: 'Unit price must be zero or more' };
+        }
+
+        parsed.push({
+            type: item.type,
+            name: item.name.trim(),
+            serviceId: item.type === 'SERVICE' ? item.serviceId || null : null,
+            taxClassId: item.type === 'SERVICE' ? null : item.taxClassId || null,
+            quantity,
+            unitPrice: roundAmount(item.unitPrice),
+            total: roundAmount(quantity * item.unitPrice),
+        });
+    }
+
+    // Service lines must be services of this business, and tax classes its own
+    const serviceIds = [...new Set(parsed.map(item => item.serviceId).filter(Boolean))];
+    const taxClassIds = [...new Set(parsed.map(item => item.taxClassId).filter(Boolean))];
+    const [services, taxClasses] = await Promise.all([
+        prisma.service.findMany({
+            where: { id: { in: serviceIds }, businessId: appointment.businessId },
+            include: { taxClass: true },
+        }),
+        prisma.taxClass.findMany({
+            where: { id: { in: taxClassIds }, businessId: appointment.businessId },
+        }),
+    ]);
+
+    if (services.length !== serviceIds.length) {
+        return { error: 'One or more services are invalid for this business' };
+    }
+    if (taxClasses.length !== taxClassIds.length) {
+        return { error: 'One or more tax classes are invalid for this business' };
+    }
+
+    const servicesById = new Map(services.map(service => [service.id, service]));
+    const taxClassesById = new Map(taxClasses.map(taxClass => [taxClass.id, taxClass]));
+
+    return {
+        items: parsed.map(({ taxClassId, ...item }) => ({
+            ...item,
+            taxRate: taxService.getTaxRate(
+                business,
+                item.serviceId ? servicesById.get(item.serviceId).taxClass : taxClassesById.get(taxClassId)
+            ),
+        })),
+    };
+};
+
+/**
+ * Work out a checkout's tax and totals for a business. Returns { items, totals }
+ * with each item's share of the discount and its tax, or { error }.
+ */
+const calculateTotals = (items, business, { discount = 0, tip = 0 } = {}) => {
+    if (!isValidAmount(discount) || !isValidAmount(tip)) {
+        return { error: 'Discount and tip must be zero or more' };
+    }
+
+    const subtotal = roundAmount(items.reduce((sum, item) => sum + item.total, 0));
+    if (discount > subtotal) {
+        return { error: 'Discount cannot be more than the subtotal' };
+    }
+
+    const tax = taxService.calculateTax(
+        items.map(item => ({ amount: item.total, taxRate: item.taxRate })),
+        business,
+        roundAmount(discount)
+    );
+
+    return {
+        items: items.map((item, index) => ({
+            ...item,
+            discount: tax.lines[index].discount,
+            netAmount: tax.lines[index].net,
+            taxAmount: tax.lines[index].tax,
+        })),
+        totals: {
+            subtotal,
+            discount: roundAmount(discount),
+            netTotal: tax.net,
+            taxTotal: tax.tax,
+            pricesIncludeTax: business.pricesIncludeTax,
+            tip: roundAmount(tip),
+            total: roundAmount(tax.gross + tip),
+        },
+    };
+};
+
+// Helper function to write a checkout and its payments in a transaction
+const recordCheckout = async (tx, { appointment, items, totals, paymentMethod, giftCard, actor }) => {
+    // A negative balance is money already paid (e.g. a deposit)
+    const balanceBefore = await ledgerService.getBalance(appointment.id, tx);
+    const currency = appointment.business.currency;
+
+    let redemption = null;
+    const owed = roundAmount(totals.total + balanceBefore);
+    if (giftCard && owed > 0) {
+        redemption = await giftCardService.redeemGiftCard(tx, {
+            giftCard,
+            appointment,
+            amount: roundAmount(Math.min(giftCard.balance, owed)),
+            actor,
+        });
+        if (!redemption) {
+            return { error: { status: 409, message: 'The gift card balance has changed, please try again' } };
+        }
+    }
+
+    const redeemedNow = redemption ? redemption.amount : 0;
+    const redeemed = await giftCardService.getRedeemedByCard(appointment.id, tx);
+    const giftCardTotal = roundAmount([...redeemed.values()].reduce((sum, amount) => sum + amount, 0));
+    const amountCollected = Math.max(0, roundAmount(owed - redeemedNow));
+    const balance = roundAmount(owed - redeemedNow - amountCollected);
+
+    // Overpayments go back to gift cards before online payments
+    const giftCardAmount = Math.max(0, roundAmount(giftCardTotal + balance));
+
+    const checkout = await tx.checkout.create({
+        data: {
+            appointmentId: appointment.id,
+            customerId: appointment.customerId,
+            businessId: appointment.businessId,
+            ...totals,
+            prepaid: Math.max(0, roundAmount(-balanceBefore - (giftCardTotal - redeemedNow))),
+            giftCardAmount,
+            amountCollected,
+            paymentMethod,
+            currency,
+            items: { create: items },
+        },
+        include: { items: true },
+    });
+
+    await ledgerService.recordEntry(tx, {
+        appointment,
+        type: 'SALE',
+        amount: totals.total,
+        currency,
+        description: 'Checkout',
+    });
+
+    if (amountCollected > 0) {
+        await ledgerService.recordEntry(tx, {
+            appointment,
+            type: 'PAYMENT',
+            amount: -amountCollected,
+            currency,
+            description: `Paid by ${paymentMethod.toLowerCase()} at checkout`,
+        });
+    }
+
+    await appointmentStatusService.recordEvent(tx, {
+        appointmentId: appointment.id,
+        type: 'CHECKED_OUT',
+        actor,
+        data: { checkoutId: checkout.id, total: totals.total, paymentMethod, giftCardAmount: redeemedNow },
+    });
+
+    await loyaltyService.awardPoints(tx, { appointment, checkout });
+
+    return { checkout, giftCard: redemption, balance };
+};
+
+/**
+ * Record the checkout of an appointment: the sale, and the payment collected
+ * on top of what was prepaid online or with gift cards. A `giftCard` (see
+ * giftCardService.findRedeemableCard) pays as much of the rest as it can.
+ * Anything prepaid beyond the total is refunded. The customer earns loyalty
+ * points on the total. An appointment not completed yet is completed along
+ * with its checkout. Returns { checkout, giftCard } with the checkout's
+ * items, or { error: { status, message } }.
+ */
+const createCheckout = async ({ appointment, items, totals, paymentMethod, giftCard, actor, io }) => {
+    const work = (tx) => recordCheckout(tx, { appointment, items, totals, paymentMethod, giftCard, actor });
+    const result = appointment.status === 'COMPLETED'
+        ? await prisma.$transaction(work)
+        : await appointmentStatusService.transitionStatus(appointment.id, 'COMPLETED', {
+            actor,
+            io,
+            note: 'Completed at checkout',
+            work,
+        });
+
+    if (result.error) {
+        return result;
+    }
+
+    if (result.balance < 0) {
+        await paymentService.refundCredit(appointment, {
+            reason: 'Refund of the amount prepaid beyond the final bill',
+            io,
+        });
+    }
+
+    return { checkout: result.checkout, giftCard: result.giftCard };
+};
+
+/**
+ * Build a printable receipt for a checkout. `appointment` needs its business,
+ * customer, service and staff.
+ */
+const buildReceipt = (checkout, appointment) => {
+    const { business } = appointment;
+
+    return {
+        checkoutId: checkout.id,
+        business: {
+            name: business.name,
+            address: business.address,
+            phone: business.phone,
+        },
+        customerName: appointment.customer.name,
+        staffName: appointment.staff?.name || null,
+        appointmentDate: formatDate(appointment.date, business.timeZone),
+        appointmentTime: formatTime(appointment.date, business.timeZone),
+        paidAt: `${formatDate(checkout.createdAt, business.timeZone)} ${formatTime(checkout.createdAt, business.timeZone)}`,
+        items: checkout.items.map(({ type, name, quantity, unitPrice, total, taxRate }) => ({ type, name, quantity, unitPrice, total, taxRate })),
+        subtotal: checkout.subtotal,
+        discount: checkout.discount,
+        netTotal: checkout.netTotal,
+        taxLines: taxService.groupTaxLines(business.taxName, checkout.items.map(item => ({ taxRate: item.taxRate, tax: item.taxAmount }))),
+        taxTotal: checkout.taxTotal,
+        pricesIncludeTax: checkout.pricesIncludeTax,
+        tip: checkout.tip,
+        total: checkout.total,
+        prepaid: checkout.prepaid,
+        giftCardAmount: checkout.giftCardAmount,
+        amountCollected: checkout.amountCollected,
+        paymentMethod: checkout.paymentMethod,
+        currency: checkout.currency,
+    };
+};
+
+/**
+ * Sum up what a business actually took at checkout between two instants.
+ * Sales by type are net of discounts and tax.
+ */
+const getRevenue = async (businessId, from, to) => {
+    const [checkouts, completedWithoutCheckout] = await Promise.all([
+        prisma.checkout.findMany({
+            where: {
+                businessId,
+                createdAt: { gte: from, lte: to },
+            },
+            include: { items: true },
+        }),
+        prisma.appointment.count({
+            where: {
+                businessId,
+                status: 'COMPLETED',
+                date: { gte: from, lte: to },
+                checkout: null,
+            },
+        }),
+    ]);
+
+    const byItemType = Object.fromEntries(ITEM_TYPES.map(type => [type, 0]));
+    const byPaymentMethod = Object.fromEntries([...PAYMENT_METHODS, 'ONLINE', 'GIFT_CARD'].map(method => [method, 0]));
+    let discounts = 0;
+    let net = 0;
+    let tax = 0;
+    let tips = 0;
+    let total = 0;
+
+    for (const checkout of checkouts) {
+        for (const item of checkout.items) {
+            byItemType[item.type] += item.netAmount;
+        }
+        byPaymentMethod[checkout.paymentMethod] += checkout.amountCollected;
+        byPaymentMethod.ONLINE += Math.min(checkout.prepaid, checkout.total - checkout.giftCardAmount);
+        byPaymentMethod.GIFT_CARD += checkout.giftCardAmount;
+        discounts += checkout.discount;
+        net += checkout.netTotal;
+        tax += checkout.taxTotal;
+        tips += checkout.tip;
+        total += checkout.total;
+    }
+
+    const round = (totals) => Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundAmount(value)]));
+
+    return {
+        checkouts: checkouts.length,
+        sales: round({
+            services: byItemType.SERVICE,
+            addons: byItemType.ADDON,
+            products: byItemType.PRODUCT,
+        }),
+        discounts: roundAmount(discounts),
+        net: roundAmount(net),
+        tax: roundAmount(tax),
+        tips: roundAmount(tips),
+        total: roundAmount(total),
+        byPaymentMethod: round(byPaymentMethod),
+        completedWithoutCheckout,
+    };
+};
+
+module.exports = {
+    PAYMENT_METHODS,
+    parseCheckoutItems,
+    calculateTotals,
+    createCheckout,
+    buildReceipt,
+    getRevenue,
+};
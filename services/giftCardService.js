@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const prisma = require('../lib/prisma');
+const ledgerService = require('./ledgerService');
+
+const { roundAmount } = ledgerService;
+
+// Codes avoid characters that are easy to misread (0/O, 1/I)
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 12;
+const MAX_CODE_ATTEMPTS = 5;
+
+/**
+ * Normalize a gift card code as typed by a customer (case, spaces and dashes)
+ */
+const normalizeCode = (code) => {
+    return typeof code === 'string' ? code.toUpperCase().replace(/[^A-Z0-9]/g, '') : '';
+};
+
+// Helper function to generate a random gift card code
+const generateCode = () => {
+    return Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+// Helper function to shorten a code for ledger descriptions
+const maskCode = (code) => `…${code.slice(-4)}`;
+
+/**
+ * Status of a gift card: ACTIVE, EXPIRED, or USED once its balance is spent
+ */
+const getStatus = (giftCard, now = new Date()) => {
+    if (giftCard.expiresAt && giftCard.expiresAt <= now) {
+        return 'EXPIRED';
+    }
+    return giftCard.balance > 0 ? 'ACTIVE' : 'USED';
+};
+
+/**
+ * Issue a gift card for a business with a new unique code. Returns the card.
+ */
+const issueGiftCard = async ({ business, amount, expiresAt, recipientName, recipientEmail, note, paymentMethod, actor }) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await prisma.giftCard.create({
+                data: {
+                    code: generateCode(),
+                    businessId: business.id,
+                    initialAmount: roundAmount(amount),
+                    balance: roundAmount(amount),
+                    currency: business.currency,
+                    expiresAt: expiresAt || null,
+                    recipientName: recipientName || null,
+                    recipientEmail: recipientEmail || null,
+                    note: note || null,
+                    paymentMethod: paymentMethod || null,
+                    issuedById: actor.id,
+                    transactions: {
+                        create: {
+                            type: 'ISSUE',
+                            amount: roundAmount(amount),
+                            balanceAfter: roundAmount(amount),
+                            actorId: actor.id,
+                        },
+                    },
+                },
+            });
+        } catch (error) {
+            // The generated code is already taken
+            if (error.code !== 'P2002' || attempt >= MAX_CODE_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Find a gift card of a business that can be redeemed now.
+ * Returns { giftCard }, otherwise { status, message }.
+ */
+const findRedeemableCard = async (db, code, businessId, now = new Date()) => {
+    const giftCard = await db.giftCard.findUnique({
+        where: { code: normalizeCode(code) },
+    });
+
+    if (!giftCard || giftCard.businessId !== businessId) {
+        return { status: 404, message: 'Gift card not found' };
+    }
+
+    const status = getStatus(giftCard, now);
+    if (status === 'EXPIRED') {
+        return { status: 400, message: 'This gift card has expired' };
+    }
+    if (status === 'USED') {
+        return { status: 400, message: 'This gift card has no balance left' };
+    }
+
+    return { giftCard };
+};
+
+/**
+ * Spend part of a gift card's balance on an appointment: debit the card and
+ * record the payment in the appointment's ledger. Returns null when the card
+ * no longer has `amount` left (another redemption got there first),
+ * otherwise { giftCardId, code, amount, balance }.
+ */
+const redeemGiftCard = async (db, { giftCard, appointment, amount, actor }) => {
+    const { count } = await db.giftCard.updateMany({
+        where: { id: giftCard.id, balance: { gte: amount } },
+        data: { balance: { decrement: amount } },
+    });
+    if (count === 0) {
+        return null;
+    }
+
+    const { balance } = await db.giftCard.findUnique({
+        where: { id: giftCard.id },
+        select: { balance: true },
+    });
+
+    await db.giftCardTransaction.create({
+        data: {
+            giftCardId: giftCard.id,
+            type: 'REDEMPTION',
+            amount: -amount,
+            balanceAfter: roundAmount(balance),
+            appointmentId: appointment.id,
+            actorId: actor?.id || null,
+        },
+    });
+
+    await ledgerService.recordEntry(db, {
+        appointment,
+        type: 'GIFT_CARD',
+        amount: -amount,
+        currency: giftCard.currency,
+        description: `Paid with gift card ${maskCode(giftCard.code)}`,
+        giftCardId: giftCard.id,
+    });
+
+    return { giftCardId: giftCard.id, code: giftCard.code, amount, balance: roundAmount(balance) };
+};
+
+/**
+ * Get what has been paid with gift cards for an appointment, net of
+ * amounts returned to the cards, as a Map of gift card id → amount
+ */
+const getRedeemedByCard = async (appointmentId, db = prisma) => {
+    const sums = await db.ledgerEntry.groupBy({
+        by: ['giftCardId'],
+        where: { appointmentId, giftCardId: { not: null } },
+        _sum: { amount: true },
+    });
+
+    return new Map(sums.map(({ giftCardId, _sum }) => [giftCardId, roundAmount(-(_sum.amount || 0))]));
+};
+
+/**
+ * Return up to `amount` of what was paid with gift cards for an appointment
+ * to the cards it came from. Returns { amount, currency } returned.
+ */
+const restoreRedemptions = async (appointment, amount, { reason } = {}) => {
+    const redeemed = await getRedeemedByCard(appointment.id);
+
+    let remaining = amount;
+    let currency;
+    for (const [giftCardId, redeemedAmount] of redeemed) {
+        const restore = roundAmount(Math.min(remaining, redeemedAmount));
+        if (restore <= 0) {
+            continue;
+        }
+
+        currency = await prisma.$transaction(async (tx) => {
+            const giftCard = await tx.giftCard.update({
+                where: { id: giftCardId },
+                data: { balance: { increment: restore } },
+            });
+
+            await tx.giftCardTransaction.create({
+                data: {
+                    giftCardId,
+                    type: 'REFUND',
+                    amount: restore,
+                    balanceAfter: roundAmount(giftCard.balance),
+                    appointmentId: appointment.id,
+                    note: reason || null,
+                },
+            });
+
+            await ledgerService.recordEntry(tx, {
+                appointment,
+                type: 'REFUND',
+                amount: restore,
+                currency: giftCard.currency,
+                description: `${reason} (returned to gift card ${maskCode(giftCard.code)})`,
+                giftCardId,
+            });
+
+            return giftCard.currency;
+        });
+
+        remaining = roundAmount(remaining - restore);
+        if (remaining <= 0) {
+            break;
+        }
+    }
+
+    return { amount: roundAmount(amount - remaining), currency };
+};
+
+module.exports = {
+    normalizeCode,
+    getStatus,
+    issueGiftCard,
+    findRedeemableCard,
+    redeemGiftCard,
+    getRedeemedByCard,
+    restoreRedemptions,
+};
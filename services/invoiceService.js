@@ -0,0 +1,241 @@
+const PDFDocument = require('pdfkit');
+const prisma = require('../lib/prisma');
+const taxService = require('./taxService');
+const { roundAmount } = require('./ledgerService');
+const { sendInvoice } = require('../utils/emailService');
+const { formatDate } = require('../utils/timeZone');
+
+/**
+ * Format a per-business invoice sequence as an invoice number
+ */
+const formatInvoiceNumber = (sequence) => `INV-${String(sequence).padStart(6, '0')}`;
+
+// Helper function to get what was charged for an appointment, with its tax:
+// its checkout, or else the service as booked less its discounts
+const getChargedItems = (appointment) => {
+    const { business, checkout } = appointment;
+
+    if (checkout) {
+        return {
+            items: checkout.items.map(({ type, name, quantity, unitPrice, total }) => ({ type, name, quantity, unitPrice, total })),
+            subtotal: checkout.subtotal,
+            discount: checkout.discount,
+            net: checkout.netTotal,
+            tax: checkout.taxTotal,
+            taxLines: taxService.groupTaxLines(business.taxName, checkout.items.map(item => ({ taxRate: item.taxRate, tax: item.taxAmount }))),
+            pricesIncludeTax: checkout.pricesIncludeTax,
+            tip: checkout.tip,
+            total: checkout.total,
+        };
+    }
+
+    // The snapshot taken at booking, so later price changes do not alter the
+    // invoice. The discount covers the service discount, promotions, packages
+    // and loyalty points.
+    const { servicePrice } = appointment;
+    const discount = roundAmount(servicePrice - appointment.price);
+    const tax = taxService.calculateTax(
+        [{ amount: servicePrice, taxRate: taxService.getTaxRate(business, appointment.service.taxClass) }],
+        business,
+        discount
+    );
+    return {
+        items: [{ type: 'SERVICE', name: appointment.serviceName, quantity: 1, unitPrice: servicePrice, total: servicePrice }],
+        subtotal: servicePrice,
+        discount,
+        net: tax.net,
+        tax: tax.tax,
+        taxLines: tax.taxLines,
+        pricesIncludeTax: business.pricesIncludeTax,
+        tip: 0,
+        total: tax.gross,
+    };
+};
+
+/**
+ * Issue the invoice for a completed appointment (with its business, service
+ * and its tax class, customer, checkout items and invoice), numbered next in the business's
+ * sequence. Returns { invoice, created }; an existing invoice is returned as is.
+ */
+const issueInvoice = async (appointment) => {
+    if (appointment.invoice) {
+        return { invoice: appointment.invoice, created: false };
+    }
+
+    const charged = getChargedItems(appointment);
+    const { customer } = appointment;
+
+    try {
+        const invoice = await prisma.$transaction(async (tx) => {
+            // Claiming the next number locks the business row until the invoice exists
+            const business = await tx.business.update({
+                where: { id: appointment.businessId },
+                data: { lastInvoiceNumber: { increment: 1 } },
+            });
+
+            return tx.invoice.create({
+                data: {
+                    businessId: business.id,
+                    sequence: business.lastInvoiceNumber,
+                    number: formatInvoiceNumber(business.lastInvoiceNumber),
+                    appointmentId: appointment.id,
+                    customerId: appointment.customerId,
+                    seller: {
+                        name: business.name,
+                        address: business.address,
+                        phone: business.phone,
+                        taxRegistrationNumber: business.taxRegistrationNumber,
+                    },
+                    buyer: {
+                        name: customer.name,
+                        email: customer.email,
+                        phone: customer.phone,
+                    },
+                    items: charged.items,
+                    taxLines: charged.taxLines,
+                    subtotal: charged.subtotal,
+                    discount: charged.discount,
+                    taxableAmount: charged.net,
+                    taxTotal: charged.tax,
+                    pricesIncludeTax: charged.pricesIncludeTax,
+                    tip: charged.tip,
+                    total: charged.total,
+                    currency: business.currency,
+                },
+            });
+        });
+
+        return { invoice, created: true };
+    } catch (error) {
+        // Issued by a concurrent request
+        if (error.code === 'P2002') {
+            const invoice = await prisma.invoice.findUnique({
+                where: { appointmentId: appointment.id },
+            });
+            return { invoice, created: false };
+        }
+        throw error;
+    }
+};
+
+// Helper function to format an amount of money for the PDF
+const formatMoney = (amount, currency) => `${currency} ${amount.toFixed(2)}`;
+
+/**
+ * Render an invoice as a PDF. Resolves with the PDF as a Buffer.
+ */
+const renderInvoicePdf = (invoice, timeZone) => {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { seller, buyer, currency } = invoice;
+        const money = (amount) => formatMoney(amount, currency);
+
+        // Seller and invoice details
+        doc.fontSize(18).text(seller.name);
+        doc.fontSize(10);
+        if (seller.address) {
+            doc.text(seller.address);
+        }
+        if (seller.phone) {
+            doc.text(`Phone: ${seller.phone}`);
+        }
+        if (seller.taxRegistrationNumber) {
+            doc.text(`Tax registration: ${seller.taxRegistrationNumber}`);
+        }
+        doc.moveDown();
+
+        doc.fontSize(14).text(invoice.taxTotal > 0 ? 'TAX INVOICE' : 'INVOICE');
+        doc.fontSize(10)
+            .text(`Invoice number: ${invoice.number}`)
+            .text(`Date: ${formatDate(invoice.issuedAt, timeZone)}`);
+        doc.moveDown();
+
+        doc.text('Bill to:');
+        doc.text(buyer.name);
+        if (buyer.email) {
+            doc.text(buyer.email);
+        }
+        if (buyer.phone) {
+            doc.text(buyer.phone);
+        }
+        doc.moveDown();
+
+        // Line items
+        const columns = { name: 50, quantity: 300, unitPrice: 360, total: 460 };
+        const row = (values) => {
+            const y = doc.y;
+            doc.text(values.name, columns.name, y, { width: 240 });
+            const nameBottom = doc.y;
+            doc.text(values.quantity, columns.quantity, y, { width: 50, align: 'right' });
+            doc.text(values.unitPrice, columns.unitPrice, y, { width: 90, align: 'right' });
+            doc.text(values.total, columns.total, y, { width: 90, align: 'right' });
+            doc.y = Math.max(nameBottom, doc.y);
+            doc.x = columns.name;
+        };
+
+        row({ name: 'Item', quantity: 'Qty', unitPrice: 'Unit price', total: 'Amount' });
+        doc.moveTo(50, doc.y + 2).lineTo(550, doc.y + 2).stroke();
+        doc.moveDown(0.5);
+        for (const item of invoice.items) {
+            row({
+                name: item.name,
+                quantity: String(item.quantity),
+                unitPrice: money(item.unitPrice),
+                total: money(item.total),
+            });
+        }
+        doc.moveDown();
+
+        // Totals
+        const total = (label, amount) => row({ name: '', quantity: '', unitPrice: label, total: amount });
+        total('Subtotal', money(invoice.subtotal));
+        if (invoice.discount > 0) {
+            total('Discount', `- ${money(invoice.discount)}`);
+        }
+        if (invoice.taxTotal > 0) {
+            total('Taxable value', money(invoice.taxableAmount));
+            for (const line of invoice.taxLines) {
+                total(`${line.name} ${line.rate}%`, money(line.amount));
+            }
+        }
+        if (invoice.tip > 0) {
+            total('Tip', money(invoice.tip));
+        }
+        doc.font('Helvetica-Bold');
+        total('Total', money(invoice.total));
+        doc.font('Helvetica');
+
+        if (invoice.taxTotal > 0) {
+            doc.moveDown().fontSize(8).text(invoice.pricesIncludeTax ? 'Prices include tax.' : 'Tax is added to the prices shown.', 50);
+        }
+
+        doc.end();
+    });
+};
+
+/**
+ * Email an invoice to an address with the PDF attached
+ */
+const emailInvoice = async (invoice, email, timeZone) => {
+    const pdf = await renderInvoicePdf(invoice, timeZone);
+
+    await sendInvoice(email, {
+        customerName: invoice.buyer.name,
+        businessName: invoice.seller.name,
+        invoiceNumber: invoice.number,
+        date: formatDate(invoice.issuedAt, timeZone),
+        total: formatMoney(invoice.total, invoice.currency),
+    }, pdf);
+};
+
+module.exports = {
+    formatInvoiceNumber,
+    issueInvoice,
+    renderInvoicePdf,
+    emailInvoice,
+};
@@ -0,0 +1,109 @@
+const prisma = require('../lib/prisma');
+
+/**
+ * Round an amount of money to 2 decimal places
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Add an entry to an appointment's ledger. `amount` is positive when the
+ * customer owes it and negative when they paid it.
+ */
+const recordEntry = (db, { appointment, type, amount, currency, description, paymentId, providerRefundId, giftCardId }) => {
+    return db.ledgerEntry.create({
+        data: {
+            appointmentId: appointment.id,
+            customerId: appointment.customerId,
+            businessId: appointment.businessId,
+            type,
+            amount: roundAmount(amount),
+            currency,
+            description: description || null,
+            paymentId: paymentId || null,
+            providerRefundId: providerRefundId || null,
+            giftCardId: giftCardId || null,
+        },
+    });
+};
+
+/**
+ * Get an appointment's ledger entries, oldest first
+ */
+const getLedger = (appointmentId, db = prisma) => {
+    return db.ledgerEntry.findMany({
+        where: { appointmentId },
+        orderBy: { createdAt: 'asc' },
+    });
+};
+
+/**
+ * Get an appointment's balance: what the customer still owes (positive) or
+ * is owed back (negative)
+ */
+const getBalance = async (appointmentId, db = prisma) => {
+    const { _sum } = await db.ledgerEntry.aggregate({
+        where: { appointmentId },
+        _sum: { amount: true },
+    });
+    return roundAmount(_sum.amount || 0);
+};
+
+/**
+ * Get the balances of several appointments at once, as a Map of id → balance
+ */
+const getBalances = async (appointmentIds, db = prisma) => {
+    const sums = await db.ledgerEntry.groupBy({
+        by: ['appointmentId'],
+        where: { appointmentId: { in: appointmentIds } },
+        _sum: { amount: true },
+    });
+
+    const balances = new Map(appointmentIds.map(id => [id, 0]));
+    for (const { appointmentId, _sum } of sums) {
+        balances.set(appointmentId, roundAmount(_sum.amount || 0));
+    }
+    return balances;
+};
+
+// Statuses in which the booked price is owed until checkout charges the final bill
+const OWED_STATUSES = ['PENDING', 'CONFIRMED', 'COMPLETED'];
+
+/**
+ * What the customer owes for an appointment (positive) or is owed back
+ * (negative), from its ledger balance. Until the appointment is checked out
+ * the ledger only holds what was paid, so the booked price is counted as owed.
+ */
+const getAmountOwed = (appointment, balance, checkedOut) => {
+    const owed = OWED_STATUSES.includes(appointment.status) && !checkedOut ? appointment.price : 0;
+    return roundAmount(owed + balance);
+};
+
+/**
+ * Add what is owed for each appointment to it as `balance` (see getAmountOwed)
+ */
+const withBalances = async (appointments, db = prisma) => {
+    const ids = appointments.map(apt => apt.id);
+    const [balances, sales] = await Promise.all([
+        getBalances(ids, db),
+        db.ledgerEntry.findMany({
+            where: { appointmentId: { in: ids }, type: 'SALE' },
+            select: { appointmentId: true },
+        }),
+    ]);
+    const checkedOut = new Set(sales.map(sale => sale.appointmentId));
+
+    return appointments.map(apt => ({
+        ...apt,
+        balance: getAmountOwed(apt, balances.get(apt.id), checkedOut.has(apt.id)),
+    }));
+};
+
+module.exports = {
+    roundAmount,
+    recordEntry,
+    getLedger,
+    getBalance,
+    getBalances,
+    getAmountOwed,
+    withBalances,
+};
@@ -0,0 +1,265 @@
+const prisma = require('../lib/prisma');
+const appointmentStatusService = require('./appointmentStatusService');
+const { roundAmount } = require('./ledgerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to build the filter for unspent points that have not expired
+const getAvailableFilter = (now) => ({
+    remainingPoints: { gt: 0 },
+    OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+});
+
+/**
+ * Points a customer has to spend at a business
+ */
+const getBalance = async (customerId, businessId, { db = prisma, now = new Date() } = {}) => {
+    const { _sum } = await db.loyaltyTransaction.aggregate({
+        where: { customerId, businessId, ...getAvailableFilter(now) },
+        _sum: { remainingPoints: true },
+    });
+    return _sum.remainingPoints || 0;
+};
+
+/**
+ * Points a customer has at each business, with what they are worth
+ */
+const getBalances = async (customerId, now = new Date()) => {
+    const groups = await prisma.loyaltyTransaction.groupBy({
+        by: ['businessId'],
+        where: { customerId, ...getAvailableFilter(now) },
+        _sum: { remainingPoints: true },
+        _min: { expiresAt: true },
+    });
+    if (groups.length === 0) {
+        return [];
+    }
+
+    const businesses = await prisma.business.findMany({
+        where: { id: { in: groups.map(group => group.businessId) } },
+        select: { id: true, name: true, currency: true, loyaltyPointValue: true },
+    });
+    const businessById = new Map(businesses.map(business => [business.id, business]));
+
+    return groups.map(group => {
+        const { loyaltyPointValue, ...business } = businessById.get(group.businessId);
+        return {
+            business,
+            points: group._sum.remainingPoints,
+            value: roundAmount(group._sum.remainingPoints * loyaltyPointValue),
+            nextExpiry: group._min.expiresAt,
+        };
+    });
+};
+
+/**
+ * Points earned for spending `amount` on a completed visit
+ */
+const getPointsEarned = (business, amount) => {
+    return Math.floor(Math.max(0, amount) * business.loyaltyPointsPerUnit) + business.loyaltyPointsPerVisit;
+};
+
+/**
+ * Add points to a customer's balance. They expire as set by the business.
+ */
+const addPoints = (db, { business, customerId, type, points, appointmentId, actor, note, now = new Date() }) => {
+    return db.loyaltyTransaction.create({
+        data: {
+            businessId: business.id,
+            customerId,
+            type,
+            points,
+            remainingPoints: points,
+            expiresAt: business.loyaltyPointsExpiryDays
+                ? new Date(now.getTime() + business.loyaltyPointsExpiryDays * DAY_MS)
+                : null,
+            appointmentId: appointmentId || null,
+            actorId: actor?.id || null,
+            note: note || null,
+        },
+    });
+};
+
+/**
+ * Take points from a customer's balance, spending those that expire first.
+ * Returns null when the balance is too low. Run it in a transaction: it
+ * throws if the balance changes part way through.
+ */
+const takePoints = async (db, { businessId, customerId, type, points, appointmentId, actor, note, now = new Date() }) => {
+    const entries = await db.loyaltyTransaction.findMany({
+        where: { customerId, businessId, ...getAvailableFilter(now) },
+        orderBy: [{ expiresAt: { sort: 'asc', nulls: 'last' } }, { createdAt: 'asc' }],
+    });
+
+    if (entries.reduce((sum, entry) => sum + entry.remainingPoints, 0) < points) {
+        return null;
+    }
+
+    let left = points;
+    for (const entry of entries) {
+        if (left === 0) {
+            break;
+        }
+        const taken = Math.min(left, entry.remainingPoints);
+        const { count } = await db.loyaltyTransaction.updateMany({
+            where: { id: entry.id, remainingPoints: entry.remainingPoints },
+            data: { remainingPoints: entry.remainingPoints - taken },
+        });
+        if (count === 0) {
+            throw new Error('Loyalty balance changed while taking points');
+        }
+        left -= taken;
+    }
+
+    return db.loyaltyTransaction.create({
+        data: {
+            businessId,
+            customerId,
+            type,
+            points: -points,
+            appointmentId: appointmentId || null,
+            actorId: actor?.id || null,
+            note: note || null,
+        },
+    });
+};
+
+/**
+ * Work out the discount for redeeming points on a booking of `price`.
+ * Returns { discount }, otherwise { error: { status, message } }.
+ */
+const getRedemption = (business, points, price) => {
+    if (!business.loyaltyEnabled || !(business.loyaltyPointValue > 0)) {
+        return { error: { status: 400, message: 'This business does not accept loyalty points' } };
+    }
+    if (!Number.isInteger(points) || points < 1) {
+        return { error: { status: 400, message: 'Loyalty points must be a whole number of at least 1' } };
+    }
+    if (points < business.loyaltyMinRedeemPoints) {
+        return { error: { status: 400, message: `At least ${business.loyaltyMinRedeemPoints} points must be redeemed at once` } };
+    }
+
+    const maxDiscount = roundAmount(price * business.loyaltyMaxRedeemPercent / 100);
+    const discount = roundAmount(points * business.loyaltyPointValue);
+    if (discount > maxDiscount) {
+        const maxPoints = Math.floor(maxDiscount / business.loyaltyPointValue);
+        return { error: { status: 400, message: `At most ${maxPoints} points can be redeemed on this booking` } };
+    }
+
+    return { discount };
+};
+
+/**
+ * Expire unspent points that have passed their expiry date.
+ * Returns the number of entries expired.
+ */
+const expirePoints = async ({ now = new Date() } = {}) => {
+    const expired = await prisma.loyaltyTransaction.findMany({
+        where: { remainingPoints: { gt: 0 }, expiresAt: { lte: now } },
+    });
+
+    let count = 0;
+    for (const entry of expired) {
+        const done = await prisma.$transaction(async (tx) => {
+            const { count: updated } = await tx.loyaltyTransaction.updateMany({
+                where: { id: entry.id, remainingPoints: entry.remainingPoints },
+                data: { remainingPoints: 0 },
+            });
+            if (updated === 0) {
+                return false;
+            }
+
+            await tx.loyaltyTransaction.create({
+                data: {
+                    businessId: entry.businessId,
+                    customerId: entry.customerId,
+                    type: 'EXPIRE',
+                    points: -entry.remainingPoints,
+                    note: `Points earned on ${entry.createdAt.toISOString().slice(0, 10)} expired`,
+                },
+            });
+            return true;
+        });
+        if (done) {
+            count++;
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Award the points earned on a completed appointment (with its business):
+ * on its checkout total without the tip, or else the price it was booked at.
+ * Points are only awarded once per appointment.
+ */
+const awardPoints = async (db, { appointment, checkout }) => {
+    const { business } = appointment;
+    if (!business.loyaltyEnabled) {
+        return null;
+    }
+
+    const alreadyEarned = await db.loyaltyTransaction.count({
+        where: { appointmentId: appointment.id, type: 'EARN' },
+    });
+    if (alreadyEarned > 0) {
+        return null;
+    }
+
+    const spent = checkout ? roundAmount(checkout.total - checkout.tip) : appointment.price;
+    const points = getPointsEarned(business, spent);
+    if (points <= 0) {
+        return null;
+    }
+
+    return addPoints(db, {
+        business,
+        customerId: appointment.customerId,
+        type: 'EARN',
+        points,
+        appointmentId: appointment.id,
+        note: `Earned for ${appointment.serviceName}`,
+    });
+};
+
+// Earn points when an appointment is completed, and give back the points
+// spent on a booking that is cancelled
+appointmentStatusService.onStatusChange(async ({ appointment, toStatus }) => {
+    if (toStatus === 'COMPLETED') {
+        // A checkout recorded along with the completion has awarded them already
+        const completed = await prisma.appointment.findUnique({
+            where: { id: appointment.id },
+            include: { business: true, checkout: true },
+        });
+        await awardPoints(prisma, { appointment: completed, checkout: completed.checkout });
+        return;
+    }
+
+    if (toStatus !== 'CANCELLED' || appointment.loyaltyPointsRedeemed <= 0) {
+        return;
+    }
+
+    const business = await prisma.business.findUnique({
+        where: { id: appointment.businessId },
+    });
+
+    await addPoints(prisma, {
+        business,
+        customerId: appointment.customerId,
+        type: 'RESTORE',
+        points: appointment.loyaltyPointsRedeemed,
+        appointmentId: appointment.id,
+        note: 'Booking cancelled',
+    });
+});
+
+module.exports = {
+    getBalance,
+    getBalances,
+    getPointsEarned,
+    addPoints,
+    takePoints,
+    getRedemption,
+    awardPoints,
+    expirePoints,
+};
@@ -0,0 +1,154 @@
+const prisma = require('../lib/prisma');
+const appointmentStatusService = require('./appointmentStatusService');
+const { roundAmount } = require('./ledgerService');
+
+const PACKAGE_TYPES = ['PACKAGE', 'MEMBERSHIP'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sessions left on a purchased package, or null when it is unlimited
+ */
+const getRemainingSessions = (customerPackage) => {
+    if (customerPackage.sessionsTotal === null) {
+        return null;
+    }
+    return Math.max(0, customerPackage.sessionsTotal - customerPackage.sessionsUsed);
+};
+
+/**
+ * Status of a purchased package: ACTIVE, EXPIRED, or USED once its sessions run out
+ */
+const getStatus = (customerPackage, now = new Date()) => {
+    if (customerPackage.expiresAt <= now) {
+        return 'EXPIRED';
+    }
+    return getRemainingSessions(customerPackage) === 0 ? 'USED' : 'ACTIVE';
+};
+
+/**
+ * Sell a package to a customer. Its sessions and validity are fixed at purchase,
+ * so later changes to the package do not affect it.
+ */
+const sellPackage = async ({ servicePackage, business, customerId, paymentMethod, now = new Date() }) => {
+    return prisma.customerPackage.create({
+        data: {
+            packageId: servicePackage.id,
+            customerId,
+            businessId: business.id,
+            sessionsTotal: servicePackage.type === 'MEMBERSHIP' ? null : servicePackage.sessionCount,
+            pricePaid: roundAmount(servicePackage.price),
+            currency: business.currency,
+            paymentMethod: paymentMethod || null,
+            purchasedAt: now,
+            expiresAt: new Date(now.getTime() + servicePackage.validityDays * DAY_MS),
+        },
+    });
+};
+
+/**
+ * Find the package a customer can use for a service at `start`. Memberships
+ * come first so that counted sessions are kept, then the package that expires
+ * soonest. `pendingSessions` counts sessions taken by services of the same
+ * booking that are not saved yet. Returns null when none can be used.
+ */
+const findUsablePackage = async (db, { customerId, businessId, serviceId, start, pendingSessions = new Map() }) => {
+    const candidates = await db.customerPackage.findMany({
+        where: {
+            customerId,
+            businessId,
+            expiresAt: { gt: start },
+            package: { services: { some: { serviceId } } },
+        },
+        include: {
+            package: {
+                select: { id: true, name: true, type: true },
+            },
+        },
+        orderBy: { expiresAt: 'asc' },
+    });
+
+    const usable = candidates.filter(customerPackage => {
+        const remaining = getRemainingSessions(customerPackage);
+        return remaining === null || remaining - (pendingSessions.get(customerPackage.id) || 0) > 0;
+    });
+
+    return usable.find(customerPackage => customerPackage.sessionsTotal === null) || usable[0] || null;
+};
+
+/**
+ * Use one session of a purchased package. Returns false when it has none left.
+ */
+const consumeSession = async (db, customerPackage) => {
+    const { count } = await db.customerPackage.updateMany({
+        where: {
+            id: customerPackage.id,
+            ...(customerPackage.sessionsTotal !== null && { sessionsUsed: { lt: customerPackage.sessionsTotal } }),
+        },
+        data: { sessionsUsed: { increment: 1 } },
+    });
+    return count > 0;
+};
+
+/**
+ * Get the packages a customer has bought, with the sessions left on each
+ */
+const getCustomerPackages = async (customerId, { activeOnly = false, now = new Date() } = {}) => {
+    const customerPackages = await prisma.customerPackage.findMany({
+        where: {
+            customerId,
+            ...(activeOnly && { expiresAt: { gt: now } }),
+        },
+        include: {
+            package: {
+                select: {
+                    id: true,
+                    name: true,
+                    type: true,
+                    services: {
+                        where: { service: { archivedAt: null } },
+                        select: {
+                            service: {
+                                select: { id: true, name: true },
+                            },
+                        },
+                    },
+                },
+            },
+            business: {
+                select: { id: true, name: true },
+            },
+        },
+        orderBy: { expiresAt: 'asc' },
+    });
+
+    return customerPackages
+        .map(customerPackage => ({
+            ...customerPackage,
+            remainingSessions: getRemainingSessions(customerPackage),
+            status: getStatus(customerPackage, now),
+        }))
+        .filter(customerPackage => !activeOnly || customerPackage.status === 'ACTIVE');
+};
+
+// Give the session back when an appointment booked with a package is cancelled.
+// No-shows keep the session used.
+appointmentStatusService.onStatusChange(async ({ appointment, toStatus }) => {
+    if (toStatus !== 'CANCELLED' || !appointment.customerPackageId) {
+        return;
+    }
+
+    await prisma.customerPackage.updateMany({
+        where: { id: appointment.customerPackageId, sessionsUsed: { gt: 0 } },
+        data: { sessionsUsed: { decrement: 1 } },
+    });
+});
+
+module.exports = {
+    PACKAGE_TYPES,
+    getRemainingSessions,
+    getStatus,
+    sellPackage,
+    findUsablePackage,
+    consumeSession,
+    getCustomerPackages,
+};
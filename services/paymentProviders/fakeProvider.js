@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+// Helper function to get the secret webhook payloads are signed with
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || 'fake-webhook-secret';
+
+// Helper function to sign a raw webhook payload
+const sign = (payload) => {
+    return crypto.createHmac('sha256', getWebhookSecret()).update(payload).digest('hex');
+};
+
+/**
+ * Local payment provider for development and tests. Payments are never
+ * charged; they stay PENDING until a signed webhook (see buildWebhook)
+ * reports them as succeeded or failed.
+ */
+const createPayment = async ({ amount, currency, reference }) => {
+    const providerPaymentId = `fake_pay_${crypto.randomUUID()}`;
+
+    return {
+        providerPaymentId,
+        clientSecret: `${providerPaymentId}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency,
+        reference,
+    };
+};
+
+/**
+ * Refund part or all of a payment. The fake provider refunds immediately.
+ */
+const refundPayment = async ({ providerPaymentId, amount }) => {
+    return {
+        providerRefundId: `fake_re_${crypto.randomUUID()}`,
+        providerPaymentId,
+        amount,
+    };
+};
+
+/**
+ * Check a webhook's signature and turn it into a payment event:
+ * { providerPaymentId, status: 'SUCCEEDED' | 'FAILED', failureReason }.
+ * Returns null when the signature does not match.
+ */
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    const body = JSON.parse(rawBody.toString());
+    return {
+        providerPaymentId: body.paymentId,
+        status: body.status === 'succeeded' ? 'SUCCEEDED' : 'FAILED',
+        failureReason: body.failureReason || null,
+    };
+};
+
+/**
+ * Build a signed webhook request as the provider would send it, for local
+ * development and tests. `status` is 'succeeded' or 'failed'.
+ */
+const buildWebhook = (providerPaymentId, status, failureReason) => {
+    const body = JSON.stringify({ paymentId: providerPaymentId, status, failureReason });
+
+    return {
+        body,
+        headers: {
+            'content-type': 'application/json',
+            [SIGNATURE_HEADER]: sign(body),
+        },
+    };
+};
+
+module.exports = {
+    name: 'fake',
+    createPayment,
+    refundPayment,
+    parseWebhook,
+    buildWebhook,
+};
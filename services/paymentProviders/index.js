@@ -0,0 +1,25 @@
+const fakeProvider = require('./fakeProvider');
+
+/**
+ * Payment providers by name. A provider implements:
+ *   createPayment({ amount, currency, reference, metadata })
+ *     → { providerPaymentId, clientSecret }
+ *   refundPayment({ providerPaymentId, amount, currency, reason })
+ *     → { providerRefundId }
+ *   parseWebhook(rawBody, headers)
+ *     → { providerPaymentId, status: 'SUCCEEDED' | 'FAILED', failureReason } or null if not genuine
+ */
+const providers = {
+    [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Get a provider by name, defaulting to PAYMENT_PROVIDER. Returns null if unknown.
+ */
+const getProvider = (name = process.env.PAYMENT_PROVIDER || fakeProvider.name) => {
+    return providers[name] || null;
+};
+
+module.exports = {
+    getProvider,
+};
@@ -0,0 +1,465 @@
+const prisma = require('../lib/prisma');
+const appointmentStatusService = require('./appointmentStatusService');
+const ledgerService = require('./ledgerService');
+const giftCardService = require('./giftCardService');
+const { getProvider } = require('./paymentProviders');
+const { notifyUser } = require('../utils/notify');
+const { sendBookingConfirmation } = require('../utils/emailService');
+const { formatDate, formatTime } = require('../utils/timeZone');
+
+const { roundAmount } = ledgerService;
+
+// How long a customer has to pay before an unpaid booking is released
+const PAYMENT_WINDOW_MINUTES = 30;
+
+/**
+ * Price of a service after its discount
+ */
+const getServicePrice = (service) => {
+    return roundAmount(service.price * (1 - (service.discount || 0) / 100));
+};
+
+/**
+ * Price of an appointment's service as booked, after all discounts. Later
+ * changes to the service price do not affect it.
+ */
+const getAppointmentPrice = (appointment) => {
+    return appointment.price;
+};
+
+/**
+ * Amount a customer must pay online to book a service at `price`; 0 when it
+ * is paid for at the business
+ */
+const getAmountDue = (service, price = getServicePrice(service)) => {
+    switch (service.paymentRequirement) {
+        case 'FULL':
+            return price;
+        case 'DEPOSIT':
+            return roundAmount(price * (service.depositPercent || 0) / 100);
+        default:
+            return 0;
+    }
+};
+
+// Helper function to build the filter for the payments covering an appointment
+// (a multi-service booking is paid for once, for all its appointments)
+const getPaymentScope = (appointment) => {
+    return appointment.bookingId
+        ? { OR: [{ appointmentId: appointment.id }, { bookingId: appointment.bookingId }] }
+        : { appointmentId: appointment.id };
+};
+
+/**
+ * Check whether an appointment is still waiting for its online payment
+ */
+const isAwaitingPayment = async (appointment, db = prisma) => {
+    if (!(appointment.amountDue > 0)) {
+        return false;
+    }
+
+    const paid = await db.payment.count({
+        where: { ...getPaymentScope(appointment), status: 'SUCCEEDED' },
+    });
+    return paid === 0;
+};
+
+/**
+ * List the payments covering an appointment, newest first
+ */
+const getAppointmentPayments = (appointment) => {
+    return prisma.payment.findMany({
+        where: getPaymentScope(appointment),
+        omit: { clientSecret: true },
+        orderBy: { createdAt: 'desc' },
+    });
+};
+
+/**
+ * Start the online payment for a booking's appointments (one appointment, or
+ * every appointment of a multi-service booking, each with its service).
+ * Reuses a payment that is still in progress. Returns the payment, including
+ * the provider's clientSecret, or null when nothing has to be paid online.
+ */
+const startPayment = async ({ appointments, business }) => {
+    const amount = roundAmount(appointments.reduce((sum, apt) => sum + apt.amountDue, 0));
+    if (amount <= 0) {
+        return null;
+    }
+
+    const [first] = appointments;
+    const existing = await prisma.payment.findFirst({
+        where: { ...getPaymentScope(first), status: 'PENDING' },
+        orderBy: { createdAt: 'desc' },
+    });
+    if (existing) {
+        return existing;
+    }
+
+    const provider = getProvider();
+    const type = appointments.every(apt => apt.service.paymentRequirement === 'FULL') ? 'FULL' : 'DEPOSIT';
+
+    const { providerPaymentId, clientSecret } = await provider.createPayment({
+        amount,
+        currency: business.currency,
+        reference: first.bookingId || first.id,
+        metadata: {
+            appointmentId: first.id,
+            bookingId: first.bookingId,
+            businessId: business.id,
+        },
+    });
+
+    return prisma.payment.create({
+        data: {
+            appointmentId: first.id,
+            bookingId: first.bookingId || null,
+            customerId: first.customerId,
+            businessId: business.id,
+            type,
+            amount,
+            currency: business.currency,
+            provider: provider.name,
+            providerPaymentId,
+            clientSecret,
+        },
+    });
+};
+
+// Helper function to record a successful payment in the ledger of each
+// appointment it covers, appointments that are still booked first
+const recordPaymentEntries = async (tx, payment) => {
+    const appointments = await tx.appointment.findMany({
+        where: payment.bookingId ? { bookingId: payment.bookingId } : { id: payment.appointmentId },
+        orderBy: { bookingPosition: 'asc' },
+    });
+    appointments.sort((a, b) => (a.status === 'CANCELLED') - (b.status === 'CANCELLED'));
+
+    let remaining = payment.amount;
+    for (const appointment of appointments) {
+        const amount = roundAmount(Math.min(remaining, appointment.amountDue));
+        if (amount <= 0) {
+            continue;
+        }
+        remaining = roundAmount(remaining - amount);
+
+        await ledgerService.recordEntry(tx, {
+            appointment,
+            type: 'PAYMENT',
+            amount: -amount,
+            currency: payment.currency,
+            description: payment.type === 'DEPOSIT' ? 'Deposit paid online' : 'Paid online',
+            paymentId: payment.id,
+        });
+    }
+};
+
+/**
+ * Refund whatever the customer has paid for an appointment beyond what they
+ * owe (its negative balance). Gift card payments go back to their cards
+ * first, then online payments are refunded through their provider.
+ * Returns the amount refunded.
+ */
+const refundCredit = async (appointment, { reason, io } = {}) => {
+    const credit = -(await ledgerService.getBalance(appointment.id));
+    if (credit <= 0) {
+        return 0;
+    }
+
+    const restored = await giftCardService.restoreRedemptions(appointment, credit, { reason });
+
+    const payments = await prisma.payment.findMany({
+        where: { ...getPaymentScope(appointment), status: 'SUCCEEDED' },
+        orderBy: { paidAt: 'asc' },
+    });
+
+    let remaining = roundAmount(credit - restored.amount);
+    let currency = restored.currency;
+    for (const payment of payments) {
+        const amount = roundAmount(Math.min(remaining, payment.amount - payment.refundedAmount));
+        if (amount <= 0) {
+            continue;
+        }
+
+        const { providerRefundId } = await getProvider(payment.provider).refundPayment({
+            providerPaymentId: payment.providerPaymentId,
+            amount,
+            currency: payment.currency,
+            reason,
+        });
+
+        await prisma.$transaction(async (tx) => {
+            await tx.payment.update({
+                where: { id: payment.id },
+                data: { refundedAmount: { increment: amount } },
+            });
+
+            await ledgerService.recordEntry(tx, {
+                appointment,
+                type: 'REFUND',
+                amount,
+                currency: payment.currency,
+                description: reason,
+                paymentId: payment.id,
+                providerRefundId,
+            });
+        });
+
+        currency = payment.currency;
+        remaining = roundAmount(remaining - amount);
+        if (remaining <= 0) {
+            break;
+        }
+    }
+
+    const refunded = roundAmount(credit - remaining);
+    if (refunded > 0) {
+        await notifyUser(
+            appointment.customerId,
+            'PAYMENT_REFUNDED',
+            'Refund Issued',
+            `${refunded} ${currency} has been refunded to you. ${reason}`,
+            { appointmentId: appointment.id },
+            io
+        );
+    }
+
+    return refunded;
+};
+
+/**
+ * Fee for cancelling an appointment under the business policy. Customers
+ * cancelling within the cancellation window pay lateCancellationFeePercent
+ * of the price; cancellations by the business (or the system) are free.
+ */
+const getCancellationFee = (appointment, actor, now = new Date()) => {
+    if (!actor || actor.id !== appointment.customerId) {
+        return 0;
+    }
+
+    const { business } = appointment;
+    const windowHours = business.cancellationWindowHours || 0;
+    const cutoff = new Date(new Date(appointment.date).getTime() - windowHours * 60 * 60 * 1000);
+    if (now <= cutoff) {
+        return 0;
+    }
+
+    return roundAmount(getAppointmentPrice(appointment) * business.lateCancellationFeePercent / 100);
+};
+
+/**
+ * Settle a cancelled appointment: charge any late-cancellation fee, then
+ * refund what the customer paid beyond it. Returns { fee, refunded }.
+ */
+const settleCancellation = async (appointmentId, actor, { io, now = new Date() } = {}) => {
+    const appointment = await prisma.appointment.findUnique({
+        where: { id: appointmentId },
+        include: { business: true, service: true },
+    });
+
+    const fee = getCancellationFee(appointment, actor, now);
+    if (fee > 0) {
+        await ledgerService.recordEntry(prisma, {
+            appointment,
+            type: 'CANCELLATION_FEE',
+            amount: fee,
+            currency: appointment.business.currency,
+            description: `Late cancellation fee (${appointment.business.lateCancellationFeePercent}% of ${appointment.serviceName})`,
+        });
+    }
+
+    const refunded = await refundCredit(appointment, {
+        reason: fee > 0 ? 'Refund after the late cancellation fee' : 'Refund for a cancelled appointment',
+        io,
+    });
+
+    return { fee, refunded };
+};
+
+// Helper function to confirm the appointments a successful payment covers
+const confirmPaidAppointments = async (payment, io) => {
+    const appointments = await prisma.appointment.findMany({
+        where: payment.bookingId ? { bookingId: payment.bookingId } : { id: payment.appointmentId },
+    });
+
+    const confirmed = [];
+    for (const appointment of appointments) {
+        // The booking was released before the payment came through
+        if (appointment.status === 'CANCELLED') {
+            await refundCredit(appointment, { reason: 'Refund for a payment received after cancellation', io });
+            continue;
+        }
+        if (appointment.status !== 'PENDING') {
+            continue;
+        }
+
+        const transition = await appointmentStatusService.transitionStatus(appointment.id, 'CONFIRMED', {
+            note: 'Payment received',
+            io,
+            include: {
+                business: true,
+                service: true,
+                staff: true,
+                customer: {
+                    select: { name: true, email: true },
+                },
+            },
+        });
+        if (transition.appointment) {
+            confirmed.push(transition.appointment);
+        }
+    }
+
+    for (const appointment of confirmed) {
+        const { timeZone } = appointment.business;
+
+        await notifyUser(
+            appointment.customerId,
+            'APPOINTMENT_CONFIRMED',
+            'Appointment Confirmed',
+            `Your payment was received and your appointment for ${appointment.serviceName} is confirmed`,
+            { appointmentId: appointment.id, paymentId: payment.id },
+            io
+        );
+
+        sendBookingConfirmation(appointment.customer.email, {
+            customerName: appointment.customer.name,
+            serviceName: appointment.serviceName,
+            businessName: appointment.business.name,
+            date: formatDate(appointment.date, timeZone),
+            time: formatTime(appointment.date, timeZone),
+            timeZone,
+            staffName: appointment.staff?.name,
+        }).catch(emailError => {
+            console.error('❌ Failed to send booking confirmation:', emailError.message);
+        });
+    }
+
+    if (confirmed.length > 0) {
+        await notifyUser(
+            confirmed[0].business.ownerId,
+            'PAYMENT_RECEIVED',
+            'Payment Received',
+            `${confirmed[0].customer.name} paid ${payment.amount} ${payment.currency} for ${confirmed.map(apt => apt.serviceName).join(', ')}`,
+            { appointmentId: payment.appointmentId, paymentId: payment.id },
+            io
+        );
+    }
+};
+
+/**
+ * Apply a payment event reported by a provider webhook. A successful payment
+ * confirms the appointments it covers. Webhooks may be delivered more than
+ * once, so events for payments that were already settled are ignored.
+ * Returns the payment, or null if it is unknown.
+ */
+const handlePaymentEvent = async ({ providerPaymentId, status, failureReason }, io, now = new Date()) => {
+    const payment = await prisma.payment.findUnique({
+        where: { providerPaymentId },
+    });
+
+    if (!payment) {
+        return null;
+    }
+
+    // A failed payment can still succeed if the customer retries it with the provider
+    const count = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.payment.updateMany({
+            where: {
+                id: payment.id,
+                status: { in: status === 'SUCCEEDED' ? ['PENDING', 'FAILED'] : ['PENDING'] },
+            },
+            data: status === 'SUCCEEDED'
+                ? { status, paidAt: now, failureReason: null }
+                : { status, failureReason: failureReason || 'Payment failed' },
+        });
+
+        if (count > 0 && status === 'SUCCEEDED') {
+            await recordPaymentEntries(tx, payment);
+        }
+        return count;
+    });
+
+    if (count === 0) {
+        return payment;
+    }
+
+    if (status === 'SUCCEEDED') {
+        await confirmPaidAppointments(payment, io);
+    } else {
+        await notifyUser(
+            payment.customerId,
+            'PAYMENT_FAILED',
+            'Payment Failed',
+            `Your payment of ${payment.amount} ${payment.currency} did not go through. Please try again within ${PAYMENT_WINDOW_MINUTES} minutes of booking to keep your appointment.`,
+            { appointmentId: payment.appointmentId, paymentId: payment.id },
+            io
+        );
+    }
+
+    return prisma.payment.findUnique({
+        where: { id: payment.id },
+        omit: { clientSecret: true },
+    });
+};
+
+/**
+ * Cancel PENDING appointments that still have not been paid for
+ * PAYMENT_WINDOW_MINUTES after booking, freeing their slots.
+ * Returns the number cancelled.
+ */
+const expireUnpaidAppointments = async ({ io, now = new Date() } = {}) => {
+    const cutoff = new Date(now.getTime() - PAYMENT_WINDOW_MINUTES * 60000);
+
+    const unpaid = await prisma.appointment.findMany({
+        where: {
+            status: 'PENDING',
+            amountDue: { gt: 0 },
+            createdAt: { lte: cutoff },
+            payments: { none: { status: 'SUCCEEDED' } },
+            OR: [
+                { bookingId: null },
+                { booking: { payments: { none: { status: 'SUCCEEDED' } } } },
+            ],
+        },
+        select: { id: true },
+    });
+
+    let count = 0;
+    for (const { id } of unpaid) {
+        const result = await appointmentStatusService.transitionStatus(id, 'CANCELLED', {
+            note: 'Payment was not completed in time',
+            io,
+        });
+        if (result.appointment) {
+            count++;
+        }
+    }
+
+    return count;
+};
+
+// Charge late-cancellation fees and refund the rest of what was paid
+appointmentStatusService.onStatusChange(async ({ appointment, toStatus, actor, io }) => {
+    if (toStatus !== 'CANCELLED') {
+        return;
+    }
+
+    await settleCancellation(appointment.id, actor, { io });
+});
+
+module.exports = {
+    PAYMENT_WINDOW_MINUTES,
+    roundAmount,
+    getServicePrice,
+    getAppointmentPrice,
+    getAmountDue,
+    isAwaitingPayment,
+    getAppointmentPayments,
+    startPayment,
+    handlePaymentEvent,
+    getCancellationFee,
+    refundCredit,
+    settleCancellation,
+    expireUnpaidAppointments,
+};
@@ -0,0 +1,146 @@
+const paymentService = require('./paymentService');
+const { roundAmount } = require('./ledgerService');
+const { toTimeString, toDateKey, getDayOfWeek } = require('../utils/timeZone');
+
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FLAT'];
+
+/**
+ * Normalize a promo code as typed by a customer
+ */
+const normalizeCode = (code) => {
+    return typeof code === 'string' ? code.trim().toUpperCase() : '';
+};
+
+/**
+ * Amount a promotion takes off a price
+ */
+const getDiscount = (promotion, price) => {
+    if (promotion.discountType === 'FLAT') {
+        return roundAmount(Math.min(promotion.discountValue, price));
+    }
+    return roundAmount(price * promotion.discountValue / 100);
+};
+
+// Helper function to check an appointment start falls in a promotion's
+// date window and happy hour (in the business time zone)
+const isInWindow = (promotion, start, timeZone) => {
+    if ((promotion.startsAt && start < promotion.startsAt) || (promotion.endsAt && start > promotion.endsAt)) {
+        return false;
+    }
+
+    if (promotion.daysOfWeek.length > 0 && !promotion.daysOfWeek.includes(getDayOfWeek(toDateKey(start, timeZone)))) {
+        return false;
+    }
+
+    if (promotion.startTime && promotion.endTime) {
+        const time = toTimeString(start, timeZone);
+        if (time < promotion.startTime || time >= promotion.endTime) {
+            return false;
+        }
+    }
+
+    return true;
+};
+
+// Helper function to check whether a promotion applies to a booking.
+// `pendingUses` counts uses by services of the same booking that are not
+// saved yet. Returns null when it does, otherwise the reason it does not.
+const checkRules = async (db, promotion, { business, service, customerId, start, pendingUses }) => {
+    if (!promotion.isActive) {
+        return 'This promo code is no longer active';
+    }
+
+    if (promotion.services.length > 0 && !promotion.services.some(ps => ps.serviceId === service.id)) {
+        return `This promo code does not apply to ${service.name}`;
+    }
+
+    if (!isInWindow(promotion, start, business.timeZone)) {
+        return 'This promo code is not valid at the selected time';
+    }
+
+    // Cancelled bookings give their use back
+    const used = { promotionId: promotion.id, status: { not: 'CANCELLED' } };
+    const pending = pendingUses.get(promotion.id) || 0;
+
+    if (promotion.maxUses !== null) {
+        const uses = await db.appointment.count({ where: used });
+        if (uses + pending >= promotion.maxUses) {
+            return 'This promo code has reached its usage limit';
+        }
+    }
+
+    if (promotion.maxUsesPerCustomer !== null) {
+        const uses = await db.appointment.count({ where: { ...used, customerId } });
+        if (uses + pending >= promotion.maxUsesPerCustomer) {
+            return 'You have already used this promo code';
+        }
+    }
+
+    if (promotion.firstVisitOnly) {
+        const visits = await db.appointment.count({
+            where: { businessId: business.id, customerId, status: { not: 'CANCELLED' } },
+        });
+        if (visits > 0) {
+            return 'This promo code is only for first visits';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Work out the price of booking a service at `start`: the service price less
+ * the promotion for `code`, or else the best campaign (promotion without a
+ * code) that applies. Returns { price, promotion, discount }, otherwise
+ * { error: { status, message } } when the code cannot be used.
+ */
+const applyPromotion = async (db, { business, service, customerId, start, code, pendingUses = new Map() }) => {
+    const servicePrice = paymentService.getServicePrice(service);
+    const include = { services: { select: { serviceId: true } } };
+
+    if (code) {
+        const promotion = await db.promotion.findUnique({
+            where: { businessId_code: { businessId: business.id, code: normalizeCode(code) } },
+            include,
+        });
+        if (!promotion) {
+            return { error: { status: 404, message: 'Promo code not found' } };
+        }
+
+        const reason = await checkRules(db, promotion, { business, service, customerId, start, pendingUses });
+        if (reason) {
+            return { error: { status: 400, message: reason } };
+        }
+
+        const discount = getDiscount(promotion, servicePrice);
+        return { price: roundAmount(servicePrice - discount), promotion, discount };
+    }
+
+    const campaigns = await db.promotion.findMany({
+        where: { businessId: business.id, code: null, isActive: true },
+        include,
+    });
+
+    let best = null;
+    for (const promotion of campaigns) {
+        if (await checkRules(db, promotion, { business, service, customerId, start, pendingUses })) {
+            continue;
+        }
+        const discount = getDiscount(promotion, servicePrice);
+        if (!best || discount > best.discount) {
+            best = { promotion, discount };
+        }
+    }
+
+    if (!best) {
+        return { price: servicePrice, promotion: null, discount: 0 };
+    }
+    return { price: roundAmount(servicePrice - best.discount), ...best };
+};
+
+module.exports = {
+    DISCOUNT_TYPES,
+    normalizeCode,
+    getDiscount,
+    applyPromotion,
+};
@@ -0,0 +1,72 @@
+const { zonedTimeToUtc, toDateKey, toTimeString, addDays, addMonths } = require('../utils/timeZone');
+
+const FREQUENCIES = ['WEEKLY', 'BIWEEKLY', 'MONTHLY'];
+const MAX_OCCURRENCES = 52;
+const MAX_SERIES_DAYS = 366;
+
+/**
+ * Check a recurrence rule { frequency, count } or { frequency, until }.
+ * Returns an error message, or null when valid.
+ */
+const validateRecurrence = (recurrence, start) => {
+    if (!recurrence || !FREQUENCIES.includes(recurrence.frequency)) {
+        return `Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`;
+    }
+
+    const { count, until } = recurrence;
+    if ((count === undefined) === (until === undefined)) {
+        return 'Recurrence needs either a count or an until date';
+    }
+
+    if (count !== undefined && !(Number.isInteger(count) && count >= 2 && count <= MAX_OCCURRENCES)) {
+        return `Recurrence count must be between 2 and ${MAX_OCCURRENCES}`;
+    }
+
+    if (until !== undefined) {
+        const untilDate = new Date(until);
+        if (isNaN(untilDate.getTime()) || untilDate <= start) {
+            return 'Recurrence until date must be after the first appointment';
+        }
+        if (untilDate - start > MAX_SERIES_DAYS * 24 * 60 * 60 * 1000) {
+            return `A series cannot run for more than ${MAX_SERIES_DAYS} days`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * List the start times of every occurrence in a series. Occurrences keep the
+ * first appointment's wall-clock time in the business time zone, so they do
+ * not drift across DST changes.
+ */
+const buildOccurrenceDates = (start, { frequency, count, until }, timeZone) => {
+    const firstDateKey = toDateKey(start, timeZone);
+    const time = toTimeString(start, timeZone);
+    const untilDate = until !== undefined ? new Date(until) : null;
+
+    const dates = [];
+    for (let index = 0; index < (count || MAX_OCCURRENCES); index++) {
+        let dateKey;
+        if (frequency === 'MONTHLY') {
+            dateKey = addMonths(firstDateKey, index);
+        } else {
+            dateKey = addDays(firstDateKey, index * (frequency === 'WEEKLY' ? 7 : 14));
+        }
+
+        const date = zonedTimeToUtc(dateKey, time, timeZone);
+        if (untilDate && date > untilDate) {
+            break;
+        }
+        dates.push(date);
+    }
+
+    return dates;
+};
+
+module.exports = {
+    FREQUENCIES,
+    MAX_OCCURRENCES,
+    validateRecurrence,
+    buildOccurrenceDates,
+};
@@ -0,0 +1,146 @@
+const prisma = require('../lib/prisma');
+const { notifyUser } = require('../utils/notify');
+const { sendAppointmentReminder } = require('../utils/emailService');
+const { formatDate, formatTime } = require('../utils/timeZone');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_REMINDER_HOURS = 7 * 24;
+
+/**
+ * Check a business's reminder hours setting: whole hours between 1 and a week
+ */
+const isValidReminderHours = (hours) => {
+    return Array.isArray(hours) &&
+        hours.every(h => Number.isInteger(h) && h >= 1 && h <= MAX_REMINDER_HOURS);
+};
+
+// Helper function to describe how far away an appointment is, e.g. "in 2 hours"
+const describeTimeUntil = (date, now) => {
+    const hours = Math.round((date.getTime() - now.getTime()) / HOUR);
+    if (hours < 1) {
+        return 'in less than an hour';
+    }
+    if (hours >= 24 && hours % 24 === 0) {
+        const days = hours / 24;
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+/**
+ * Claim the reminder for an appointment. The unique (appointmentId, offsetHours)
+ * row is written before sending, so a reminder can never go out twice.
+ * Returns true if this call claimed it.
+ */
+const claimReminder = async (appointmentId, offsetHours) => {
+    try {
+        await prisma.appointmentReminder.create({
+            data: { appointmentId, offsetHours },
+        });
+        return true;
+    } catch (error) {
+        if (error.code === 'P2002') {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Helper function to send one reminder by email and in-app notification
+const sendReminder = async (appointment, now, io) => {
+    const { business, staff, customer } = appointment;
+    const when = describeTimeUntil(appointment.date, now);
+    const date = formatDate(appointment.date, business.timeZone);
+    const time = formatTime(appointment.date, business.timeZone);
+
+    await notifyUser(
+        appointment.customerId,
+        'APPOINTMENT_REMINDER',
+        'Appointment Reminder',
+        `Your appointment for ${appointment.serviceName} at ${business.name} is ${when} (${date}, ${time})`,
+        { appointmentId: appointment.id },
+        io
+    );
+
+    if (customer.email) {
+        try {
+            await sendAppointmentReminder(customer.email, {
+                customerName: customer.name,
+                serviceName: appointment.serviceName,
+                businessName: business.name,
+                address: business.address,
+                date,
+                time,
+                timeZone: business.timeZone,
+                staffName: staff?.name,
+                when,
+            });
+        } catch (error) {
+            console.error('Failed to send reminder email:', error);
+        }
+    }
+};
+
+/**
+ * Send every reminder that is due. For each upcoming booking the closest
+ * due reminder is sent; earlier ones that were missed (e.g. the booking was
+ * made 3 hours ahead) are marked as sent without emailing again.
+ * Returns the number of reminders sent.
+ */
+const sendDueReminders = async ({ io, now = new Date() } = {}) => {
+    const appointments = await prisma.appointment.findMany({
+        where: {
+            status: { in: ['PENDING', 'CONFIRMED'] },
+            date: {
+                gt: now,
+                lte: new Date(now.getTime() + MAX_REMINDER_HOURS * HOUR),
+            },
+            business: { remindersEnabled: true },
+        },
+        include: {
+            business: true,
+            staff: true,
+            customer: {
+                select: { name: true, email: true },
+            },
+            reminders: true,
+        },
+    });
+
+    let sent = 0;
+    for (const appointment of appointments) {
+        const alreadySent = new Set(appointment.reminders.map(r => r.offsetHours));
+        const due = appointment.business.reminderHours
+            .filter(h => now.getTime() >= appointment.date.getTime() - h * HOUR && !alreadySent.has(h))
+            .sort((a, b) => a - b);
+
+        if (due.length === 0) {
+            continue;
+        }
+
+        try {
+            if (!(await claimReminder(appointment.id, due[0]))) {
+                continue;
+            }
+            if (due.length > 1) {
+                await prisma.appointmentReminder.createMany({
+                    data: due.slice(1).map(offsetHours => ({ appointmentId: appointment.id, offsetHours })),
+                    skipDuplicates: true,
+                });
+            }
+
+            await sendReminder(appointment, now, io);
+            sent++;
+        } catch (error) {
+            console.error(`Error sending reminder for appointment ${appointment.id}:`, error);
+        }
+    }
+
+    return sent;
+};
+
+module.exports = {
+    MAX_REMINDER_HOURS,
+    isValidReminderHours,
+    sendDueReminders,
+};
@@ -0,0 +1,100 @@
+const { roundAmount } = require('./ledgerService');
+
+/**
+ * Tax rate (percent) for a service or product: that of its tax class, or
+ * else the business default
+ */
+const getTaxRate = (business, taxClass) => {
+    return taxClass ? taxClass.rate : business.taxRate || 0;
+};
+
+// Helper function to share a discount across amounts in proportion to them.
+// The last amount takes the rounding remainder so the shares add up exactly.
+const allocateDiscount = (amounts, discount) => {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!discount || total <= 0) {
+        return amounts.map(() => 0);
+    }
+
+    let remaining = discount;
+    return amounts.map((amount, index) => {
+        if (index === amounts.length - 1) {
+            return roundAmount(remaining);
+        }
+        const share = roundAmount(discount * amount / total);
+        remaining -= share;
+        return share;
+    });
+};
+
+// Helper function to split a tax into the lines printed on an invoice.
+// Indian GST is shown as equal central (CGST) and state (SGST) halves.
+const buildTaxLines = (taxName, rate, amount) => {
+    if (amount <= 0) {
+        return [];
+    }
+
+    if (taxName === 'GST') {
+        const half = roundAmount(amount / 2);
+        return [
+            { name: 'CGST', rate: rate / 2, amount: half },
+            { name: 'SGST', rate: rate / 2, amount: roundAmount(amount - half) },
+        ];
+    }
+
+    return [{ name: taxName, rate, amount }];
+};
+
+/**
+ * Group taxed lines ([{ taxRate, tax }]) into invoice tax lines, one set per rate
+ */
+const groupTaxLines = (taxName, lines) => {
+    const byRate = new Map();
+    for (const { taxRate, tax } of lines) {
+        byRate.set(taxRate, (byRate.get(taxRate) || 0) + tax);
+    }
+
+    return [...byRate.entries()]
+        .sort(([a], [b]) => a - b)
+        .flatMap(([rate, amount]) => buildTaxLines(taxName, rate, roundAmount(amount)));
+};
+
+/**
+ * Work out net, tax and gross amounts for a sale by a business. `lines` are
+ * [{ amount, taxRate }] with amounts as priced, i.e. including tax when the
+ * business sets pricesIncludeTax. `discount` comes off the lines in
+ * proportion to their amounts, before tax.
+ * Returns { lines: [{ discount, net, taxRate, tax, gross }], net, tax, gross, taxLines }.
+ */
+const calculateTax = (lines, business, discount = 0) => {
+    const shares = allocateDiscount(lines.map(line => line.amount), discount);
+
+    const taxed = lines.map((line, index) => {
+        const amount = roundAmount(line.amount - shares[index]);
+        const { taxRate } = line;
+
+        if (business.pricesIncludeTax) {
+            const net = roundAmount(amount / (1 + taxRate / 100));
+            return { discount: shares[index], net, taxRate, tax: roundAmount(amount - net), gross: amount };
+        }
+
+        const tax = roundAmount(amount * taxRate / 100);
+        return { discount: shares[index], net: amount, taxRate, tax, gross: roundAmount(amount + tax) };
+    });
+
+    const sum = (key) => roundAmount(taxed.reduce((total, line) => total + line[key], 0));
+
+    return {
+        lines: taxed,
+        net: sum('net'),
+        tax: sum('tax'),
+        gross: sum('gross'),
+        taxLines: groupTaxLines(business.taxName, taxed),
+    };
+};
+
+module.exports = {
+    getTaxRate,
+    groupTaxLines,
+    calculateTax,
+};
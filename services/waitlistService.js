@@ -0,0 +1,240 @@
+const prisma = require('../lib/prisma');
+const bookingService = require('./bookingService');
+const appointmentStatusService = require('./appointmentStatusService');
+const { notifyUser } = require('../utils/notify');
+const { sendWaitlistOffer } = require('../utils/emailService');
+const { toDateKey, formatDate, formatTime } = require('../utils/timeZone');
+
+const WAITLIST_HOLD_MINUTES = 30;
+
+// Helper function to pick the staff to try for a waitlist entry, the freed staff member first
+const getStaffOptions = (entry, freedStaffId) => {
+    if (entry.staffId) {
+        return [entry.staffId];
+    }
+
+    const assignedStaffIds = entry.service.assignedStaff.map(as => as.staffId);
+    if (assignedStaffIds.length === 0) {
+        return [null];
+    }
+
+    return assignedStaffIds.includes(freedStaffId)
+        ? [freedStaffId, ...assignedStaffIds.filter(id => id !== freedStaffId)]
+        : assignedStaffIds;
+};
+
+// Helper function to tell a customer a slot is being held for them
+const notifyOffer = async (entry, business, io) => {
+    const { timeZone } = business;
+    const date = formatDate(entry.offeredSlot, timeZone);
+    const time = formatTime(entry.offeredSlot, timeZone);
+    const holdUntil = formatTime(entry.holdExpiresAt, timeZone);
+    const staffName = entry.offeredStaffId
+        ? entry.service.assignedStaff.find(as => as.staffId === entry.offeredStaffId)?.staff.name
+        : null;
+
+    await notifyUser(
+        entry.customerId,
+        'WAITLIST_SLOT_AVAILABLE',
+        'A Slot Opened Up',
+        `${entry.service.name} at ${business.name} is available on ${date} at ${time}. We're holding it for you until ${holdUntil}.`,
+        {
+            waitlistEntryId: entry.id,
+            businessId: business.id,
+            serviceId: entry.serviceId,
+            staffId: entry.offeredStaffId,
+            date: entry.offeredSlot,
+            holdExpiresAt: entry.holdExpiresAt,
+        },
+        io
+    );
+
+    if (entry.customer.email) {
+        try {
+            await sendWaitlistOffer(entry.customer.email, {
+                customerName: entry.customer.name,
+                serviceName: entry.service.name,
+                businessName: business.name,
+                date,
+                time,
+                timeZone,
+                staffName,
+                holdUntil,
+            });
+        } catch (error) {
+            console.error('Failed to send waitlist offer email:', error);
+        }
+    }
+};
+
+/**
+ * Offer a freed slot to the first waitlisted customer (in joining order)
+ * whose service fits at `start`, holding it for them for a limited time.
+ * Returns the entry that got the offer, or null.
+ */
+const offerSlot = async ({ business, start, staffId, sourceAppointmentId }, io, now = new Date()) => {
+    if (start <= now) {
+        return null;
+    }
+
+    const dateKey = toDateKey(start, business.timeZone);
+    const candidates = await prisma.waitlistEntry.findMany({
+        where: {
+            businessId: business.id,
+            status: 'WAITING',
+            fromDate: { lte: dateKey },
+            toDate: { gte: dateKey },
+            service: { archivedAt: null },
+        },
+        include: {
+            service: {
+                include: {
+                    assignedStaff: {
+                        include: {
+                            staff: true
+                        }
+                    }
+                }
+            },
+            customer: {
+                select: { name: true, email: true },
+            },
+        },
+        orderBy: { createdAt: 'asc' },
+    });
+
+    for (const entry of candidates) {
+        for (const option of getStaffOptions(entry, staffId)) {
+            const conflict = await bookingService.validateSlot(prisma, {
+                business,
+                service: entry.service,
+                staffId: option,
+                start,
+                customerId: entry.customerId,
+                now,
+            });
+            if (conflict) {
+                continue;
+            }
+
+            const holdExpiresAt = new Date(now.getTime() + WAITLIST_HOLD_MINUTES * 60000);
+            const { count } = await prisma.waitlistEntry.updateMany({
+                where: { id: entry.id, status: 'WAITING' },
+                data: {
+                    status: 'OFFERED',
+                    offeredSlot: start,
+                    offeredStaffId: option,
+                    holdExpiresAt,
+                    sourceAppointmentId,
+                },
+            });
+            if (count === 0) {
+                break;
+            }
+
+            const offered = { ...entry, offeredSlot: start, offeredStaffId: option, holdExpiresAt };
+            await notifyOffer(offered, business, io);
+            return offered;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Mark a customer's held slot as booked once they book it
+ */
+const markOfferBooked = (customerId, businessId, start) => {
+    return prisma.waitlistEntry.updateMany({
+        where: {
+            customerId,
+            businessId,
+            status: 'OFFERED',
+            offeredSlot: start,
+        },
+        data: {
+            status: 'BOOKED',
+            holdExpiresAt: null,
+        },
+    });
+};
+
+/**
+ * Expire lapsed holds, passing each slot on to the next customer in line,
+ * and expire entries whose date range has passed
+ */
+const expireHolds = async ({ io, now = new Date() } = {}) => {
+    const lapsed = await prisma.waitlistEntry.findMany({
+        where: {
+            status: 'OFFERED',
+            holdExpiresAt: { lte: now },
+        },
+        include: { business: true },
+    });
+
+    for (const entry of lapsed) {
+        const { count } = await prisma.waitlistEntry.updateMany({
+            where: { id: entry.id, status: 'OFFERED' },
+            data: { status: 'EXPIRED' },
+        });
+
+        if (count > 0) {
+            await offerSlot({
+                business: entry.business,
+                start: entry.offeredSlot,
+                staffId: entry.offeredStaffId,
+                sourceAppointmentId: entry.sourceAppointmentId,
+            }, io, now);
+        }
+    }
+
+    // Entries are dated in the business time zone, so compare per business
+    const waiting = await prisma.waitlistEntry.findMany({
+        where: {
+            status: 'WAITING',
+            toDate: { lte: toDateKey(now, 'UTC') },
+        },
+        select: {
+            id: true,
+            toDate: true,
+            business: { select: { timeZone: true } },
+        },
+    });
+    const pastIds = waiting
+        .filter(entry => entry.toDate < toDateKey(now, entry.business.timeZone))
+        .map(entry => entry.id);
+
+    if (pastIds.length > 0) {
+        await prisma.waitlistEntry.updateMany({
+            where: { id: { in: pastIds } },
+            data: { status: 'EXPIRED' },
+        });
+    }
+
+    return lapsed.length + pastIds.length;
+};
+
+// Offer the slot of every future appointment that gets cancelled
+appointmentStatusService.onStatusChange(async ({ appointment, toStatus, io }) => {
+    if (toStatus !== 'CANCELLED' || appointment.date <= new Date()) {
+        return;
+    }
+
+    const business = await prisma.business.findUnique({
+        where: { id: appointment.businessId },
+    });
+
+    await offerSlot({
+        business,
+        start: appointment.date,
+        staffId: appointment.staffId,
+        sourceAppointmentId: appointment.id,
+    }, io);
+});
+
+module.exports = {
+    WAITLIST_HOLD_MINUTES,
+    offerSlot,
+    markOfferBooked,
+    expireHolds,
+};
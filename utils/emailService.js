@@ -1,6 +1,7 @@
 // const nodemailer = require('nodemailer'); // No longer needed in backend
 
-const sendEmail = async (to, subject, html) => {
+// `attachments` is an optional list of { filename, content (base64), contentType }
+const sendEmail = async (to, subject, html, attachments) => {
     // Check configuration
     if (!process.env.FRONTEND_URL) {
         console.error('❌ FRONTEND_URL is missing in .env');
@@ -22,7 +23,7 @@ const sendEmail = async (to, subject, html) => {
                 'Content-Type': 'application/json',
                 'x-email-secret': process.env.EMAIL_SECRET
             },
-            body: JSON.stringify({ to, subject, html })
+            body: JSON.stringify({ to, subject, html, ...(attachments ? { attachments } : {}) })
         });
 
         if (!response.ok) {
@@ -51,7 +52,7 @@ const sendBookingConfirmation = async (customerEmail, bookingDetails) => {
                 <p><strong>Service:</strong> ${bookingDetails.serviceName}</p>
                 <p><strong>Business:</strong> ${bookingDetails.businessName}</p>
                 <p><strong>Date:</strong> ${bookingDetails.date}</p>
-                <p><strong>Time:</strong> ${bookingDetails.time}</p>
+                <p><strong>Time:</strong> ${bookingDetails.time}${bookingDetails.timeZone ? ` (${bookingDetails.timeZone})` : ''}</p>
                 ${bookingDetails.staffName ? `<p><strong>Staff:</strong> ${bookingDetails.staffName}</p>` : ''}
             </div>
             
@@ -61,6 +62,77 @@ const sendBookingConfirmation = async (customerEmail, bookingDetails) => {
     await sendEmail(customerEmail, subject, html);
 };
 
+const sendAppointmentReminder = async (customerEmail, bookingDetails) => {
+    const subject = `Reminder: ${bookingDetails.serviceName} at ${bookingDetails.businessName} ${bookingDetails.when}`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">Appointment Reminder ⏰</h2>
+            <p>Hi ${bookingDetails.customerName},</p>
+            <p>This is a reminder that your appointment is ${bookingDetails.when}.</p>
+            
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Service:</strong> ${bookingDetails.serviceName}</p>
+                <p><strong>Business:</strong> ${bookingDetails.businessName}</p>
+                ${bookingDetails.address ? `<p><strong>Address:</strong> ${bookingDetails.address}</p>` : ''}
+                <p><strong>Date:</strong> ${bookingDetails.date}</p>
+                <p><strong>Time:</strong> ${bookingDetails.time}${bookingDetails.timeZone ? ` (${bookingDetails.timeZone})` : ''}</p>
+                ${bookingDetails.staffName ? `<p><strong>Staff:</strong> ${bookingDetails.staffName}</p>` : ''}
+            </div>
+            
+            <p>If you can no longer make it, please cancel or reschedule from your bookings page.</p>
+        </div>
+    `;
+    await sendEmail(customerEmail, subject, html);
+};
+
+const sendWaitlistOffer = async (customerEmail, offerDetails) => {
+    const subject = `A slot opened up at ${offerDetails.businessName}`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">Good news! A slot is available 🎉</h2>
+            <p>Hi ${offerDetails.customerName},</p>
+            <p>A slot you were waiting for has opened up and we're holding it for you.</p>
+            
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Service:</strong> ${offerDetails.serviceName}</p>
+                <p><strong>Business:</strong> ${offerDetails.businessName}</p>
+                <p><strong>Date:</strong> ${offerDetails.date}</p>
+                <p><strong>Time:</strong> ${offerDetails.time}${offerDetails.timeZone ? ` (${offerDetails.timeZone})` : ''}</p>
+                ${offerDetails.staffName ? `<p><strong>Staff:</strong> ${offerDetails.staffName}</p>` : ''}
+            </div>
+            
+            <div style="background-color: #FEF3C7; border-left: 4px solid #F59E0B; padding: 15px; margin: 25px 0; border-radius: 4px;">
+                <p style="color: #92400E; margin: 0; font-size: 14px;">
+                    ⏰ <strong>Book before ${offerDetails.holdUntil}</strong> - after that the slot goes to the next person on the waitlist.
+                </p>
+            </div>
+        </div>
+    `;
+    await sendEmail(customerEmail, subject, html);
+};
+
+const sendInvoice = async (customerEmail, invoiceDetails, pdf) => {
+    const subject = `Invoice ${invoiceDetails.invoiceNumber} from ${invoiceDetails.businessName}`;
+    const html = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+            <h2 style="color: #4F46E5;">Your Invoice 🧾</h2>
+            <p>Hi ${invoiceDetails.customerName},</p>
+            <p>Thank you for visiting ${invoiceDetails.businessName}. Your invoice is attached.</p>
+            
+            <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+                <p><strong>Invoice number:</strong> ${invoiceDetails.invoiceNumber}</p>
+                <p><strong>Date:</strong> ${invoiceDetails.date}</p>
+                <p><strong>Total:</strong> ${invoiceDetails.total}</p>
+            </div>
+        </div>
+    `;
+    await sendEmail(customerEmail, subject, html, [{
+        filename: `${invoiceDetails.invoiceNumber}.pdf`,
+        content: pdf.toString('base64'),
+        contentType: 'application/pdf',
+    }]);
+};
+
 const sendCompletionOTP = async (customerEmail, otp, bookingDetails) => {
     const subject = `Service Completion OTP: ${otp}`;
     const html = `
@@ -160,6 +232,9 @@ const sendStaffInvitation = async (staffEmail, invitationDetails) => {
 
 module.exports = {
     sendBookingConfirmation,
+    sendAppointmentReminder,
+    sendWaitlistOffer,
+    sendInvoice,
     sendCompletionOTP,
     sendVerificationEmail,
     sendStaffInvitation,
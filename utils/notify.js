@@ -0,0 +1,45 @@
+const prisma = require('../lib/prisma');
+const notificationService = require('../services/notificationService');
+const { emitNotification } = require('../socket/socketHandler');
+
+// Helper function to send notifications
+const notifyUser = async (userId, type, title, message, data, io) => {
+    try {
+        console.log(`📨 [notifyUser] Attempting to notify user ${userId} with type: ${type}`);
+        const notification = await notificationService.createNotification(
+            userId, type, title, message, data
+        );
+        console.log(`✅ [notifyUser] Notification created:`, notification.id);
+        emitNotification(io, userId, notification);
+        console.log(`📨 Sent ${type} notification to user ${userId}`);
+    } catch (error) {
+        console.error(`❌ [notifyUser] Error sending notification to user ${userId}:`, error);
+    }
+};
+
+// Helper function to get staff user
+const getStaffUser = async (staffId) => {
+    const staff = await prisma.staff.findUnique({
+        where: { id: staffId },
+        select: {
+            id: true,
+            name: true,
+            userId: true,
+            user: {
+                select: {
+                    id: true,
+                    email: true,
+                    name: true,
+                    role: true
+                }
+            }
+        }
+    });
+    console.log('🔍 getStaffUser result for staffId:', staffId, '→', staff);
+    return staff;
+};
+
+module.exports = {
+    notifyUser,
+    getStaffUser,
+};
@@ -0,0 +1,153 @@
+// Time zone helpers built on Intl so wall-clock times ("09:00" on "2025-12-10")
+// can be converted to UTC instants in a business's IANA time zone and back.
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+/**
+ * Check that a string is a valid IANA time zone, e.g. "Asia/Kolkata"
+ */
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) {
+        return false;
+    }
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ */
+const getZonedParts = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') {
+            parts[type] = Number(value);
+        }
+    });
+    return parts;
+};
+
+/**
+ * Get the offset (in ms) of a time zone from UTC at a given instant
+ */
+const getTimeZoneOffset = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const instant = new Date(date);
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - (instant.getTime() - instant.getMilliseconds());
+};
+
+/**
+ * Convert a wall-clock date ("YYYY-MM-DD") and time ("HH:mm") in a time zone to a UTC Date
+ */
+const zonedTimeToUtc = (dateKey, time, timeZone = DEFAULT_TIME_ZONE) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // Correct the guess once more in case it crossed a DST transition
+    let utc = wallClock - getTimeZoneOffset(wallClock, timeZone);
+    utc = wallClock - getTimeZoneOffset(utc, timeZone);
+
+    return new Date(utc);
+};
+
+/**
+ * Format the calendar day of an instant in a time zone as "YYYY-MM-DD"
+ */
+const toDateKey = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Format the wall-clock time of an instant in a time zone as "HH:mm"
+ */
+const toTimeString = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Get the day of week (0=Sunday) of a "YYYY-MM-DD" date
+ */
+const getDayOfWeek = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * Add days to a "YYYY-MM-DD" date
+ */
+const addDays = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Add months to a "YYYY-MM-DD" date, clamping to the last day of shorter months
+ */
+const addMonths = (dateKey, months) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+};
+
+/**
+ * Format an instant for display (emails, notifications) in a time zone
+ */
+const formatDate = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    return new Date(date).toLocaleDateString('en-IN', {
+        timeZone,
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+    });
+};
+
+const formatTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+    return new Date(date).toLocaleTimeString('en-IN', {
+        timeZone,
+        hour: 'numeric',
+        minute: '2-digit',
+        hour12: true,
+    });
+};
+
+module.exports = {
+    DEFAULT_TIME_ZONE,
+    isValidTimeZone,
+    getZonedParts,
+    getTimeZoneOffset,
+    zonedTimeToUtc,
+    toDateKey,
+    toTimeString,
+    getDayOfWeek,
+    addDays,
+    addMonths,
+    formatDate,
+    formatTime,
+};